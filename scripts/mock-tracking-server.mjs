@@ -0,0 +1,100 @@
+/**
+ * Mock live-tracking feed for local development.
+ *
+ * Serves a WebSocket feed in the same format as the race-day tracking
+ * service: one JSON message per position fix,
+ *
+ *   { "bib": "1", "lat": 3.4215, "lng": -76.5384, "timestamp": 1777800600000 }
+ *
+ * Simulated elite runners and pacers run the chosen route at their own
+ * paces (with a little GPS jitter and pace drift). Race time is compressed
+ * by --speed so a marathon can be watched in minutes.
+ *
+ * Usage:
+ *   npm run mock:tracking -- [--event cali-2026] [--route 42k] [--port 8787] [--speed 20]
+ *
+ * Then set VITE_TRACKING_URL=ws://localhost:8787 in .env and run `npm run dev`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import turf from 'turf';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Simulated field: bib and target pace (seconds per km). */
+const RUNNERS = [
+  { bib: '1', pace: 180 },
+  { bib: '2', pace: 182 },
+  { bib: '3', pace: 185 },
+  { bib: '11', pace: 205 },
+  { bib: '12', pace: 210 },
+  { bib: 'P300', pace: 256 },
+  { bib: 'P330', pace: 282 },
+  { bib: 'P400', pace: 341 },
+];
+
+/** Real milliseconds between position fixes. */
+const TICK_MS = 1000;
+
+/** GPS jitter (degrees, ~5 m). */
+const JITTER_DEG = 0.00005;
+
+function parseArgs(argv) {
+  const args = { event: 'cali-2026', route: '42k', port: 8787, speed: 20 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in args) args[key] = typeof args[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return args;
+}
+
+function loadRoute(eventId, routeId) {
+  const file = path.join(ROOT, 'src/assets/events', eventId, 'routes', `${routeId}.geojson`);
+  const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const feature = geojson.features.find(f => f.geometry.type.endsWith('LineString'));
+  const coordinates = feature.geometry.type === 'MultiLineString'
+    ? feature.geometry.coordinates.flat()
+    : feature.geometry.coordinates;
+  return turf.lineString(coordinates.map(c => [c[0], c[1]]));
+}
+
+const args = parseArgs(process.argv.slice(2));
+const line = loadRoute(args.event, args.route);
+const totalKm = turf.lineDistance(line);
+
+const startedAt = Date.now();
+const field = RUNNERS.map(r => ({ ...r, drift: 1 }));
+
+const wss = new WebSocketServer({ port: args.port });
+
+setInterval(() => {
+  const raceSeconds = ((Date.now() - startedAt) / 1000) * args.speed;
+
+  for (const runner of field) {
+    // Slow random walk around the target pace (±3 %)
+    runner.drift = Math.min(1.03, Math.max(0.97, runner.drift + (Math.random() - 0.5) * 0.01));
+    const km = Math.min(totalKm, raceSeconds / (runner.pace * runner.drift));
+    if (runner.finished) continue;
+    runner.finished = km >= totalKm;
+
+    const [lng, lat] = turf.along(line, km).geometry.coordinates;
+    const message = JSON.stringify({
+      bib: runner.bib,
+      lat: lat + (Math.random() - 0.5) * JITTER_DEG,
+      lng: lng + (Math.random() - 0.5) * JITTER_DEG,
+      // Feed timestamps are race-time so the client sees realistic speeds
+      timestamp: Math.round(startedAt + raceSeconds * 1000),
+    });
+    for (const client of wss.clients) {
+      if (client.readyState === client.OPEN) client.send(message);
+    }
+  }
+}, TICK_MS);
+
+console.log(
+  `Mock tracking feed on ws://localhost:${args.port} — ${args.event}/${args.route} `
+  + `(${totalKm.toFixed(2)} km), ${field.length} runners, ${args.speed}x`,
+);
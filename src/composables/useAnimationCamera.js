@@ -0,0 +1,162 @@
+/**
+ * useAnimationCamera — Composable that moves the map camera with the route
+ * head during playback, in the mode picked in `store.cameraMode`
+ * (config/cameraModes).
+ *
+ *  - Every frame the camera converges (lerp) toward the mode's target, so
+ *    switching modes mid-playback glides from the current view instead of
+ *    jumping.
+ *  - `cinematic` orbits around the head, pulls back on climbs and closes in
+ *    near marks; `free` leaves the camera to the user.
+ *  - `reset()` snaps to the target on the next update (after a seek or a
+ *    restart).
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {import('pinia').Store} store - The playback Pinia store instance
+ * @param {(phase: number) => number} bearingAtPhase - Route tangent bearing by route fraction
+ * @returns {{ update: Function, reset: Function, setMode: Function, flyTarget: Function }}
+ */
+
+import { cameraModeOf, CINEMATIC } from '@/config/cameraModes';
+
+/**
+ * Interpolate bearing accounting for the ±180° wraparound.
+ * Ensures the camera always takes the shortest rotation path.
+ */
+function lerpBearing(a, b, t) {
+  let diff = b - a;
+  // Normalise to -180..180
+  while (diff > 180) diff -= 360;
+  while (diff < -180) diff += 360;
+  return a + diff * t;
+}
+
+/**
+ * Linear interpolation helper.
+ * @param {number} a - Start value
+ * @param {number} b - End value
+ * @param {number} t - Interpolation factor 0–1
+ * @returns {number}
+ */
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export function useAnimationCamera(map, store, bearingAtPhase) {
+  let mode = cameraModeOf(store.cameraMode);
+
+  // Lerp state — null centre means "snap on the next update"
+  let camCenter = null;
+  let camBearing = 0;
+  let camZoom = 0;
+  let camPitch = 0;
+
+  /**
+   * Zoom and pitch of the cinematic camera at a distance along the route.
+   * @param {number} km
+   * @returns {{ zoom: number, pitch: number }}
+   */
+  function cinematicFraming(km) {
+    const nearMark = store.routeMarks.some(m => Math.abs(m.distanceKm - km) <= CINEMATIC.mark.withinKm);
+    if (nearMark) return CINEMATIC.mark;
+    const onClimb = store.climbs.some(c => c.type === 'climb' && km >= c.startKm && km <= c.endKm);
+    if (onClimb) return CINEMATIC.climb;
+    return mode;
+  }
+
+  /**
+   * Camera the current mode aims for with the head at `headPhase`.
+   * @param {number} headPhase - Route fraction of the head
+   * @param {[number, number]} lngLat - Head position
+   * @returns {{ center: [number, number], zoom: number, pitch: number, bearing: number }}
+   */
+  function targetAt(headPhase, lngLat) {
+    const framing = mode.id === 'free' ? cameraModeOf('follow') : mode;
+    let bearing = framing.bearing === 'north' ? 0 : bearingAtPhase(headPhase);
+    let { zoom, pitch } = framing;
+
+    if (framing.id === 'cinematic') {
+      const km = headPhase * store.totalDistance;
+      bearing += km * CINEMATIC.orbitDegPerKm;
+      ({ zoom, pitch } = cinematicFraming(km));
+    }
+
+    // Offset the view centre from the head along the viewing direction
+    const bearingInRadian = bearing / 57.29;
+    const lngDiff = (framing.offsetM * Math.sin(-bearingInRadian)) / 70000;
+    const latDiff = (framing.offsetM * Math.cos(-bearingInRadian)) / 110000;
+
+    return {
+      center: [lngLat[0] + lngDiff, lngLat[1] - latDiff],
+      zoom,
+      pitch,
+      bearing,
+    };
+  }
+
+  /**
+   * Move the camera one frame toward the mode's target (no-op in free mode).
+   * @param {number} headPhase - Route fraction of the head
+   * @param {[number, number]} lngLat - Head position
+   */
+  function update(headPhase, lngLat) {
+    if (mode.id === 'free') return;
+    const target = targetAt(headPhase, lngLat);
+
+    // First frame or after seek: snap instantly, then lerp from there
+    if (!camCenter) {
+      camCenter = target.center;
+      camBearing = target.bearing;
+      camZoom = target.zoom;
+      camPitch = target.pitch;
+    } else {
+      camCenter = [
+        lerp(camCenter[0], target.center[0], mode.lerp),
+        lerp(camCenter[1], target.center[1], mode.lerp),
+      ];
+      camBearing = lerpBearing(camBearing, target.bearing, mode.lerp);
+      camZoom = lerp(camZoom, target.zoom, mode.lerp);
+      camPitch = lerp(camPitch, target.pitch, mode.lerp);
+    }
+
+    map.jumpTo({
+      center: camCenter,
+      zoom: camZoom,
+      pitch: camPitch,
+      bearing: camBearing,
+    });
+  }
+
+  /** Snap to the target on the next update. */
+  function reset() {
+    camCenter = null;
+  }
+
+  /**
+   * Switch mode without restarting playback: the camera glides from where
+   * it is now (including wherever the user left it in free mode).
+   * @param {string} id - Camera mode id
+   */
+  function setMode(id) {
+    mode = cameraModeOf(id);
+    camCenter = map.getCenter().toArray();
+    camBearing = map.getBearing();
+    camZoom = map.getZoom();
+    camPitch = map.getPitch();
+  }
+
+  /**
+   * Camera to fly to when playback starts with the head at `headPhase`.
+   * @param {number} headPhase
+   * @param {[number, number]} lngLat
+   * @returns {{ center: [number, number], zoom: number, pitch: number, bearing: number }}
+   */
+  function flyTarget(headPhase, lngLat) {
+    return targetAt(headPhase, lngLat);
+  }
+
+  return {
+    update,
+    reset,
+    setMode,
+    flyTarget,
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * useClimbLayers — Composable that highlights detected climbs and descents
+ * on the map.
+ *
+ * Creates, once per map:
+ *  1. A wide translucent band under the route for each section (climb /
+ *     descent colour from the grade palette)
+ *  2. A category label ("Cat 3 ↗") at the start of each section
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance (useMapLayers must have added 'fullRouteLayer')
+ * @param {(phase: number) => [number, number]} coordAtPhase - Route position lookup by route fraction
+ * @param {number} totalDistance - Route length in km on the profile's distance scale
+ * @returns {{ setClimbs: Function }}
+ */
+
+import tokens from '@/theme/tokens';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+/** Points per km when tracing a section along the route lookup */
+const POINTS_PER_KM = 50;
+
+const COLORS = {
+  climb: tokens.colors.grade.steepUp,
+  descent: tokens.colors.grade.steepDown,
+};
+
+export function useClimbLayers(map, coordAtPhase, totalDistance) {
+  const colorExpression = ['match', ['get', 'type'], 'climb', COLORS.climb, COLORS.descent];
+
+  // --- Section bands (below the route so the route stays readable) ---
+  map.addSource('climbs', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'climbsLayer',
+    type: 'line',
+    source: 'climbs',
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': colorExpression,
+      'line-width': 16,
+      'line-opacity': 0.35,
+    },
+  }, 'fullRouteLayer');
+
+  // --- Category labels at section starts ---
+  map.addSource('climb-starts', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'climbLabelsLayer',
+    type: 'symbol',
+    source: 'climb-starts',
+    layout: {
+      'text-field': ['get', 'label'],
+      'text-size': 11,
+      'text-offset': [0, -1.3],
+      'text-allow-overlap': true,
+    },
+    paint: {
+      'text-color': colorExpression,
+      'text-halo-color': '#ffffff',
+      'text-halo-width': 1.5,
+    },
+  });
+
+  /**
+   * Route coordinates between two profile distances.
+   * @param {number} fromKm
+   * @param {number} toKm
+   * @returns {Array<[number, number]>}
+   */
+  function traceSection(fromKm, toKm) {
+    const count = Math.max(2, Math.ceil((toKm - fromKm) * POINTS_PER_KM));
+    const coordinates = [];
+    for (let i = 0; i <= count; i++) {
+      coordinates.push(coordAtPhase((fromKm + ((toKm - fromKm) * i) / count) / totalDistance));
+    }
+    return coordinates;
+  }
+
+  /**
+   * Redraw the highlighted sections.
+   * @param {Array<{ type: string, startKm: number, endKm: number, category: { label: string } }>} climbs -
+   *   Output of utils/detectClimbs, empty to clear
+   */
+  function setClimbs(climbs) {
+    const sections = totalDistance ? climbs : [];
+
+    map.getSource('climbs').setData({
+      type: 'FeatureCollection',
+      features: sections.map(c => ({
+        type: 'Feature',
+        properties: { type: c.type },
+        geometry: { type: 'LineString', coordinates: traceSection(c.startKm, c.endKm) },
+      })),
+    });
+
+    map.getSource('climb-starts').setData({
+      type: 'FeatureCollection',
+      features: sections.map(c => ({
+        type: 'Feature',
+        properties: { type: c.type, label: `${c.category.label} ${c.type === 'climb' ? '↗' : '↘'}` },
+        geometry: { type: 'Point', coordinates: coordAtPhase(c.startKm / totalDistance) },
+      })),
+    });
+  }
+
+  return {
+    setClimbs,
+  };
+}
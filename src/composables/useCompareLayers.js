@@ -0,0 +1,94 @@
+/**
+ * useCompareLayers — Composable that draws several routes of an event on
+ * one map for the compare view.
+ *
+ * Every route is split into shared and unique sections (see
+ * utils/routeOverlap) and drawn in its own colour:
+ *  1. Shared sections — thin lines, offset side by side so streets run by
+ *     several distances show one band per distance
+ *  2. Unique sections — thick, fully opaque lines: the streets only that
+ *     distance runs
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @returns {{ setRoutes: Function, fitRoutes: Function }}
+ */
+
+import mapboxgl from 'mapbox-gl';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+/** Pixel gap between parallel route bands on shared streets */
+const BAND_OFFSET_PX = 4;
+
+export function useCompareLayers(map) {
+  let bounds = null;
+
+  map.addSource('compare-routes', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'compareSharedLayer',
+    type: 'line',
+    source: 'compare-routes',
+    filter: ['==', ['get', 'shared'], true],
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': ['get', 'color'],
+      'line-width': 3,
+      'line-opacity': 0.75,
+      'line-offset': ['get', 'offset'],
+    },
+  });
+  map.addLayer({
+    id: 'compareUniqueLayer',
+    type: 'line',
+    source: 'compare-routes',
+    filter: ['==', ['get', 'shared'], false],
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': ['get', 'color'],
+      'line-width': 6,
+    },
+  });
+
+  /**
+   * Replace the drawn routes.
+   * @param {Array<Object>} routes - Selected compare-store routes
+   * @param {Record<string, Object>} overlap - compareStore.overlap (sections per route id)
+   */
+  function setRoutes(routes, overlap) {
+    bounds = new mapboxgl.LngLatBounds();
+    const features = [];
+
+    routes.forEach((route, i) => {
+      const offset = (i - (routes.length - 1) / 2) * BAND_OFFSET_PX;
+      for (const section of overlap[route.id]?.sections || []) {
+        section.coordinates.forEach(c => bounds.extend(c));
+        features.push({
+          type: 'Feature',
+          properties: {
+            routeId: route.id,
+            color: route.color,
+            shared: section.sharedWith.length > 0,
+            offset: section.sharedWith.length > 0 ? offset : 0,
+          },
+          geometry: { type: 'LineString', coordinates: section.coordinates },
+        });
+      }
+    });
+
+    map.getSource('compare-routes').setData({ type: 'FeatureCollection', features });
+  }
+
+  /**
+   * Frame every drawn route.
+   * @param {Object} [options] - Extra mapboxgl fitBounds options
+   */
+  function fitRoutes(options = {}) {
+    if (!bounds || bounds.isEmpty()) return;
+    map.fitBounds(bounds, { padding: 60, ...options });
+  }
+
+  return {
+    setRoutes,
+    fitRoutes,
+  };
+}
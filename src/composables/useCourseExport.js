@@ -0,0 +1,49 @@
+/**
+ * useCourseExport — Composable that exports the loaded route as a course file.
+ *
+ * Serialises `store.pathData` + `store.elevationProfile` (and the marks as
+ * course points / waypoints) via the pure serialisers in utils/courseExport,
+ * then triggers a browser download named after the route id
+ * (e.g. `42k.gpx`).
+ *
+ * @param {import('pinia').Store} store - The playback Pinia store instance
+ * @returns {{ exportCourse: (format: 'gpx'|'tcx'|'kml') => void }}
+ */
+
+import {
+  COURSE_FORMATS,
+  buildCourse,
+  buildCoursePoints,
+  toGpx,
+  toTcx,
+  toKml,
+} from '@/utils/courseExport';
+import { downloadBlob } from '@/utils/downloadFile';
+import { localized } from '@/i18n';
+
+const SERIALISERS = {
+  gpx: toGpx,
+  tcx: toTcx,
+  kml: toKml,
+};
+
+export function useCourseExport(store) {
+  /**
+   * Export the current route in the given format.
+   * @param {'gpx'|'tcx'|'kml'} format
+   */
+  function exportCourse(format) {
+    const meta = COURSE_FORMATS[format];
+    const lineFeature = store.pathData?.features?.[0];
+    if (!meta || !lineFeature) return;
+
+    const name = localized(store.routeConfig?.name) || store.routeId;
+    const course = buildCourse(lineFeature, store.elevationProfile);
+    const coursePoints = buildCoursePoints(lineFeature, store.marksData);
+    const xml = SERIALISERS[format](name, course, coursePoints);
+
+    downloadBlob(new Blob([xml], { type: meta.mimeType }), `${store.routeId}.${meta.extension}`);
+  }
+
+  return { exportCourse };
+}
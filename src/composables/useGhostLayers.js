@@ -0,0 +1,124 @@
+/**
+ * useGhostLayers — Composable that renders the ghost runner on the map.
+ *
+ * Creates, once per map:
+ *  1. Ghost trail (the recorded path, thin line under the course)
+ *  2. Off-course segments (where the athlete left the certified line)
+ *  3. Ghost head (HTML mapboxgl.Marker, same pattern as the route head)
+ *
+ * The track itself is swapped at runtime with `setTrack` (null clears it),
+ * so a ghost can be loaded or removed without rebuilding the map.
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @returns {{ setTrack: Function, updateGhost: Function, showGhostHead: Function, hideGhostHead: Function }}
+ */
+
+import mapboxgl from 'mapbox-gl';
+import tokens from '@/theme/tokens';
+import { ghostStateAt } from '@/utils/ghostTrack';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+export function useGhostLayers(map) {
+  let track = null;
+  let headVisible = false;
+
+  // --- Recorded path ---
+  map.addSource('ghost-trail', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'ghostTrailLayer',
+    type: 'line',
+    source: 'ghost-trail',
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': tokens.colors.route.ghost,
+      'line-width': 2,
+      'line-opacity': 0.6,
+    },
+  });
+
+  // --- Off-course segments (drawn on top of the course) ---
+  map.addSource('ghost-off-course', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'ghostOffCourseLayer',
+    type: 'line',
+    source: 'ghost-off-course',
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': tokens.colors.route.offCourse,
+      'line-width': 5,
+    },
+  });
+
+  // --- Ghost head marker ---
+  const headEl = document.createElement('div');
+  headEl.className = 'ghost-head-marker';
+  headEl.style.cssText = [
+    `width: 22px`,
+    `height: 22px`,
+    `border-radius: 50%`,
+    `background: ${tokens.colors.route.ghost}`,
+    `border: 2px solid #fff`,
+    `box-shadow: 0 0 6px rgba(0,0,0,0.4)`,
+    `opacity: 0.85`,
+    `pointer-events: none`,
+    `will-change: transform`,
+    `display: none`,
+  ].join(';');
+
+  const headMarker = new mapboxgl.Marker({ element: headEl, anchor: 'center' })
+    .setLngLat(map.getCenter())
+    .addTo(map);
+
+  function syncHead() {
+    headEl.style.display = track && headVisible ? 'block' : 'none';
+  }
+
+  /**
+   * Replace the displayed ghost.
+   * @param {Object|null} ghost - Output of buildGhostTrack, or null to clear
+   */
+  function setTrack(ghost) {
+    track = ghost;
+    map.getSource('ghost-trail').setData(ghost
+      ? { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: ghost.coordinates } }
+      : EMPTY);
+    map.getSource('ghost-off-course').setData({
+      type: 'FeatureCollection',
+      features: (ghost?.offCourse || []).map(seg => ({
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'LineString', coordinates: seg.coordinates },
+      })),
+    });
+    syncHead();
+  }
+
+  /**
+   * Move the ghost head to its recorded position at a race-time phase.
+   * @param {number} phase - Fraction (0–1) of the ghost's elapsed time
+   */
+  function updateGhost(phase) {
+    if (!track) return;
+    headMarker.setLngLat(ghostStateAt(track, phase * track.totalSeconds).lngLat);
+  }
+
+  /** Show the ghost head (animation mode). */
+  function showGhostHead() {
+    headVisible = true;
+    syncHead();
+  }
+
+  /** Hide the ghost head (overview mode). */
+  function hideGhostHead() {
+    headVisible = false;
+    syncHead();
+  }
+
+  return {
+    setTrack,
+    updateGhost,
+    showGhostHead,
+    hideGhostHead,
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * useLiveLayers — Composable that draws live-tracked runners on the map.
+ *
+ * Creates, once per map:
+ *  1. Trails (recent snapped positions of every runner, one line each)
+ *  2. Runner dots (circle layer, one GeoJSON source for the whole field)
+ *  3. Bib labels next to each dot
+ *
+ * Runners are replaced wholesale with `setRunners` whenever the store
+ * applies a batch of fixes, so the feed rate — not the animation frame
+ * rate — drives redraws.
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @returns {{ setRunners: Function }}
+ */
+
+import tokens from '@/theme/tokens';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+export function useLiveLayers(map) {
+  // --- Trails ---
+  map.addSource('live-trails', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'liveTrailsLayer',
+    type: 'line',
+    source: 'live-trails',
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': tokens.colors.route.live,
+      'line-width': 3,
+      'line-opacity': 0.5,
+    },
+  });
+
+  // --- Runner dots + bib labels ---
+  map.addSource('live-runners', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'liveRunnersLayer',
+    type: 'circle',
+    source: 'live-runners',
+    paint: {
+      'circle-radius': 6,
+      'circle-color': tokens.colors.route.live,
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#ffffff',
+      'circle-opacity': ['case', ['get', 'finished'], 0.4, 1],
+    },
+  });
+  map.addLayer({
+    id: 'liveLabelsLayer',
+    type: 'symbol',
+    source: 'live-runners',
+    layout: {
+      'text-field': ['get', 'bib'],
+      'text-size': 11,
+      'text-offset': [0, -1.3],
+      'text-allow-overlap': true,
+    },
+    paint: {
+      'text-color': tokens.colors.route.live,
+      'text-halo-color': '#ffffff',
+      'text-halo-width': 1.5,
+    },
+  });
+
+  /**
+   * Redraw the live field.
+   * @param {Record<string, Object>} runners - Live runner states keyed by bib
+   */
+  function setRunners(runners) {
+    const list = Object.values(runners);
+
+    map.getSource('live-trails').setData({
+      type: 'FeatureCollection',
+      features: list
+        .filter(r => r.trail.length > 1)
+        .map(r => ({
+          type: 'Feature',
+          properties: { bib: r.bib },
+          geometry: { type: 'LineString', coordinates: r.trail },
+        })),
+    });
+
+    map.getSource('live-runners').setData({
+      type: 'FeatureCollection',
+      features: list.map(r => ({
+        type: 'Feature',
+        properties: { bib: r.bib, finished: r.finished },
+        geometry: { type: 'Point', coordinates: r.lngLat },
+      })),
+    });
+  }
+
+  return {
+    setRunners,
+  };
+}
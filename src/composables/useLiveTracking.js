@@ -0,0 +1,107 @@
+/**
+ * useLiveTracking — Composable that subscribes to the live-tracking feed.
+ *
+ * Opens a WebSocket to `trackingConfig.url`, validates incoming
+ * `{ bib, lat, lng, timestamp }` messages and hands them to the store in
+ * batches (`store.applyLiveFixes`), which snaps them onto the route. A feed
+ * can push many fixes per second, so batching keeps store updates — and map
+ * redraws — to a few per second.
+ *
+ * Dropped connections are retried with exponential backoff until
+ * `disconnect()` is called. The socket is closed when the owning component
+ * unmounts.
+ *
+ * @param {import('pinia').Store} store - The playback Pinia store instance
+ * @returns {{ connect: () => void, disconnect: () => void }}
+ */
+
+import { onBeforeUnmount } from 'vue';
+import { trackingConfig } from '@/config/tracking';
+import { parseTrackingMessage } from '@/utils/liveTracking';
+import { t } from '@/i18n';
+
+export function useLiveTracking(store) {
+  let socket = null;
+  let pending = [];
+  let flushTimer = null;
+  let reconnectTimer = null;
+  let reconnectDelay = trackingConfig.reconnectMinMs;
+  let wanted = false;
+
+  function flush() {
+    if (pending.length === 0) return;
+    const fixes = pending;
+    pending = [];
+    store.applyLiveFixes(fixes);
+  }
+
+  function scheduleReconnect(reason) {
+    store.setLiveStatus('reconnecting', reason);
+    reconnectTimer = setTimeout(open, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, trackingConfig.reconnectMaxMs);
+  }
+
+  function open() {
+    reconnectTimer = null;
+    let ws;
+    try {
+      ws = new WebSocket(trackingConfig.url);
+    } catch (err) {
+      console.error('Failed to open tracking feed:', err);
+      wanted = false;
+      clearInterval(flushTimer);
+      flushTimer = null;
+      store.setLiveStatus('off', t('errors.trackingUrl'));
+      return;
+    }
+    socket = ws;
+
+    ws.addEventListener('open', () => {
+      reconnectDelay = trackingConfig.reconnectMinMs;
+      store.setLiveStatus('live');
+    });
+
+    ws.addEventListener('message', (event) => {
+      const fix = parseTrackingMessage(event.data);
+      if (fix) pending.push(fix);
+    });
+
+    ws.addEventListener('close', () => {
+      // A socket closed by disconnect() may report after a new one opened
+      if (socket !== ws) return;
+      socket = null;
+      flush();
+      if (wanted) scheduleReconnect(t('errors.trackingLost'));
+    });
+  }
+
+  /** Start receiving fixes (no-op when already connected or not configured). */
+  function connect() {
+    if (!trackingConfig.enabled || wanted) return;
+    wanted = true;
+    store.setLiveStatus('connecting');
+    flushTimer = setInterval(flush, trackingConfig.flushIntervalMs);
+    open();
+  }
+
+  /** Close the feed and stop reconnecting. Live runners stay on the map. */
+  function disconnect() {
+    wanted = false;
+    clearTimeout(reconnectTimer);
+    clearInterval(flushTimer);
+    reconnectTimer = null;
+    flushTimer = null;
+    if (socket) socket.close();
+    socket = null;
+    flush();
+    reconnectDelay = trackingConfig.reconnectMinMs;
+    store.setLiveStatus('off');
+  }
+
+  onBeforeUnmount(disconnect);
+
+  return {
+    connect,
+    disconnect,
+  };
+}
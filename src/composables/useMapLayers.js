@@ -1,19 +1,28 @@
 /**
  * useMapLayers — Composable that manages Mapbox sources and layers for route rendering.
  *
- * Creates two layer groups plus an HTML head marker:
+ * Creates three layer groups plus an HTML head marker:
  *  1. Full route (dashed, visible initially and when paused)
- *  2. Animated line (gradient, visible during playback)
- *  3. Head marker (HTML mapboxgl.Marker, updated via setLngLat for zero-lag positioning)
+ *  2. Grade route (full route coloured by grade band, replaces the dashed
+ *     line in overview and stays dimmed behind the animated line)
+ *  3. Animated line (gradient, visible during playback)
+ *  4. Head marker (HTML mapboxgl.Marker, updated via setLngLat for zero-lag positioning)
  *
  * @param {mapboxgl.Map} map - Mapbox map instance
  * @param {Object} lineFeature - GeoJSON LineString feature
- * @returns {{ showAnimationLayers: Function, showOverviewLayers: Function, headMarker: mapboxgl.Marker }}
+ * @returns {{
+ *   showAnimationLayers: Function, showOverviewLayers: Function, setGradeRuns: Function,
+ *   lineGradientAt: Function, headMarker: mapboxgl.Marker
+ * }}
  */
 
 import mapboxgl from 'mapbox-gl';
 import tokens from '@/theme/tokens';
 
+/** Opacity of the grade route in overview / behind the animated line */
+const GRADE_OPACITY_OVERVIEW = 0.9;
+const GRADE_OPACITY_ANIMATING = 0.35;
+
 export function useMapLayers(map, lineFeature) {
   const coordinates = lineFeature.geometry.coordinates;
 
@@ -45,6 +54,34 @@ export function useMapLayers(map, lineFeature) {
     },
   });
 
+  // --- Grade route layer (hidden until grade colours are switched on) ---
+  map.addSource('grade-route', {
+    type: 'geojson',
+    data: {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates,
+      },
+    },
+    lineMetrics: true,
+  });
+  map.addLayer({
+    id: 'gradeRouteLayer',
+    type: 'line',
+    source: 'grade-route',
+    layout: {
+      'line-join': 'round',
+      'line-cap': 'round',
+      'visibility': 'none',
+    },
+    paint: {
+      'line-color': tokens.colors.route.full,
+      'line-width': 6,
+      'line-opacity': GRADE_OPACITY_OVERVIEW,
+    },
+  });
+
   // --- Animated route line source (initially hidden) ---
   map.addSource('line', {
     type: 'geojson',
@@ -91,6 +128,74 @@ export function useMapLayers(map, lineFeature) {
     .setLngLat(coordinates[0])
     .addTo(map);
 
+  // Grade colour stops ([route fraction, colour] from the second run on),
+  // null while the route is drawn in its solid colour
+  let gradeStart = null;
+  let gradeStops = null;
+  let animating = false;
+
+  /** Apply grade mode + overview/animation state to the route layers */
+  function applyRouteLayers() {
+    const graded = gradeStops !== null;
+    map.setLayoutProperty('gradeRouteLayer', 'visibility', graded ? 'visible' : 'none');
+    map.setPaintProperty('gradeRouteLayer', 'line-opacity', animating ? GRADE_OPACITY_ANIMATING : GRADE_OPACITY_OVERVIEW);
+    map.setLayoutProperty('fullRouteLayer', 'visibility', graded || animating ? 'none' : 'visible');
+  }
+
+  /**
+   * Colour the full route by grade band, or back to its solid colour.
+   * @param {Array<{ band: { color: string }, fromKm: number, toKm: number }>|null} runs -
+   *   Grade runs in route order (config/gradeBands gradeRuns), null / empty for solid
+   */
+  function setGradeRuns(runs) {
+    if (!runs || runs.length === 0) {
+      gradeStart = null;
+      gradeStops = null;
+    } else {
+      const totalKm = runs[runs.length - 1].toKm || 1;
+      gradeStart = runs[0].band.color;
+      gradeStops = runs.slice(1).map(run => [run.fromKm / totalKm, run.band.color]);
+      map.setPaintProperty('gradeRouteLayer', 'line-gradient', [
+        'step',
+        ['line-progress'],
+        gradeStart,
+        ...gradeStops.flat(),
+      ]);
+    }
+    applyRouteLayers();
+  }
+
+  /**
+   * `line-gradient` of the animated line with the head at `phase`: the
+   * covered part in the two-tone progress gradient (or in grade colours),
+   * transparent ahead of the head.
+   * @param {number} phase - Route fraction of the head, > 0
+   * @returns {Array} Mapbox expression
+   */
+  function lineGradientAt(phase) {
+    if (gradeStops) {
+      return [
+        'step',
+        ['line-progress'],
+        gradeStart,
+        ...gradeStops.filter(([fraction]) => fraction < phase).flat(),
+        phase,
+        'rgba(0, 0, 0, 0)',
+      ];
+    }
+    return [
+      'interpolate',
+      ['linear'],
+      ['line-progress'],
+      0,
+      tokens.colors.route.gradientStart,
+      phase,
+      tokens.colors.route.gradientEnd,
+      Math.min(phase + 0.0001, 1),
+      'rgba(0, 0, 0, 0)',
+    ];
+  }
+
   /**
    * Show animated layers (line + head) and hide full route.
    * Used when animation starts or resumes.
@@ -98,7 +203,8 @@ export function useMapLayers(map, lineFeature) {
   function showAnimationLayers() {
     map.setLayoutProperty('lineLayer', 'visibility', 'visible');
     headEl.style.display = 'block';
-    map.setLayoutProperty('fullRouteLayer', 'visibility', 'none');
+    animating = true;
+    applyRouteLayers();
   }
 
   /**
@@ -106,13 +212,16 @@ export function useMapLayers(map, lineFeature) {
    * Head marker stays hidden in overview.
    */
   function showOverviewLayers() {
-    map.setLayoutProperty('fullRouteLayer', 'visibility', 'visible');
     headEl.style.display = 'none';
+    animating = false;
+    applyRouteLayers();
   }
 
   return {
     showAnimationLayers,
     showOverviewLayers,
+    setGradeRuns,
+    lineGradientAt,
     headMarker,
   };
 }
@@ -0,0 +1,118 @@
+/**
+ * useMapTheme — Composable that keeps the Mapbox basemap in step with the
+ * dark / light theme (see `mapboxConfig.styles` / `lightPresets`).
+ *
+ * With Mapbox Standard in both modes only the `basemap` light preset
+ * changes (day ↔ night), which leaves every source and layer in place.
+ * Different style URLs per mode need a full style swap: our own sources
+ * and layers (anything the base style does not define) are captured with
+ * their current data and paint / layout state, and added back as soon as
+ * the new style loads. HTML markers and popups live outside the style and
+ * are not affected.
+ *
+ * Frame updates would hit missing layers while the new style loads, so
+ * `onStyleSwap(true)` is called before the swap and `onStyleSwap(false)`
+ * once the layers are back; the caller holds its animation in between.
+ *
+ * It runs from the map's init in `onMounted`, too late for the lifecycle
+ * hooks of `useTheme()`, so the caller passes the `isLightTheme` of its setup.
+ *
+ * @param {mapboxgl.Map} map - Mapbox map created with `basemapOptions()`
+ * @param {import('vue').Ref<boolean>} isLightTheme - Light theme active (from useTheme)
+ * @param {Object} [options]
+ * @param {(swapping: boolean) => void} [options.onStyleSwap] - Style swap started / finished
+ * @param {() => boolean} [options.canSwap] - False defers a style swap (e.g. while recording)
+ * @returns {{ refresh: () => void }} `refresh` applies a deferred swap
+ */
+
+import { watch } from 'vue';
+import { basemapFor } from '@/config/mapbox';
+
+/**
+ * Map constructor options for the basemap of a mode.
+ * @param {boolean} light - Light theme active
+ * @returns {{ style: string, config?: Object }}
+ */
+export function basemapOptions(light) {
+  const { style, lightPreset } = basemapFor(light);
+  return lightPreset ? { style, config: { basemap: { lightPreset } } } : { style };
+}
+
+export function useMapTheme(map, isLightTheme, { onStyleSwap = () => {}, canSwap = () => true } = {}) {
+  /** Basemap the map currently shows */
+  let applied = basemapFor(isLightTheme.value);
+  /** Layer / source ids of the base style, null until it has loaded */
+  let baseLayerIds = null;
+  let baseSourceIds = null;
+  let swapping = false;
+
+  function recordBaseStyle() {
+    const { layers = [], sources = {} } = map.getStyle();
+    baseLayerIds = new Set(layers.map(layer => layer.id));
+    baseSourceIds = new Set(Object.keys(sources));
+  }
+
+  /** Our sources and layers, with their current state */
+  function captureCustomStyle() {
+    const { layers = [], sources = {} } = map.getStyle();
+    return {
+      sources: Object.entries(sources).filter(([id]) => !baseSourceIds.has(id)),
+      layers: layers.filter(layer => !baseLayerIds.has(layer.id)),
+    };
+  }
+
+  function swapStyle(next) {
+    const custom = captureCustomStyle();
+    swapping = true;
+    onStyleSwap(true);
+
+    map.once('style.load', () => {
+      recordBaseStyle();
+      for (const [id, source] of custom.sources) {
+        if (!map.getSource(id)) map.addSource(id, source);
+      }
+      // Layers come back in their original order, on top of the new basemap
+      for (const layer of custom.layers) {
+        if (!map.getLayer(layer.id)) map.addLayer(layer);
+      }
+      swapping = false;
+      onStyleSwap(false);
+      // The theme may have flipped again while the style loaded
+      refresh();
+    });
+
+    // Full rebuild: a diff would drop our layers at an unpredictable point
+    map.setStyle(next.style, {
+      diff: false,
+      ...(next.lightPreset && { config: { basemap: { lightPreset: next.lightPreset } } }),
+    });
+  }
+
+  /** Bring the basemap in line with the current theme */
+  function refresh() {
+    if (!baseLayerIds || swapping) return;
+    const next = basemapFor(isLightTheme.value);
+
+    if (next.style !== applied.style) {
+      if (!canSwap()) return;
+      applied = next;
+      swapStyle(next);
+      return;
+    }
+    if (next.lightPreset && next.lightPreset !== applied.lightPreset) {
+      map.setConfigProperty('basemap', 'lightPreset', next.lightPreset);
+    }
+    applied = next;
+  }
+
+  // The base style is recorded before any of our layers are added ('load'
+  // fires after the first 'style.load')
+  map.once('style.load', () => {
+    recordBaseStyle();
+    refresh();
+  });
+
+  watch(isLightTheme, refresh);
+
+  return { refresh };
+}
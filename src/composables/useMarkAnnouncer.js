@@ -0,0 +1,47 @@
+/**
+ * useMarkAnnouncer — Composable that turns mark arrivals into text for a
+ * screen-reader live region.
+ *
+ * While playing, each time the route head moves forward past one or more
+ * marks (store.routeMarks, hidden categories excluded) the last one passed
+ * is announced, e.g. "5 K, Isotonic — 5.0 km". Seeks (jumps of more than
+ * MAX_STEP_KM) and backwards moves are not announced.
+ *
+ * @param {import('pinia').Store} store - The playback Pinia store instance
+ * @returns {{ announcement: import('vue').Ref<string> }}
+ */
+
+import { ref, watch } from 'vue';
+import { MARK_CATEGORY_MAP } from '@/config/markCategories';
+import { t, formatDistance } from '@/i18n';
+
+/** Largest head move (km) between two progress updates still treated as playback */
+const MAX_STEP_KM = 0.5;
+
+/**
+ * Spoken text for a mark.
+ * @param {{ label: string, categories: string[], distanceKm: number }} mark
+ * @returns {string}
+ */
+function describeMark(mark) {
+  const services = mark.categories
+    .slice(1)
+    .map(id => MARK_CATEGORY_MAP[id])
+    .filter(Boolean)
+    .map(category => t(category.labelKey));
+  return `${[mark.label, ...services].join(', ')} — ${formatDistance(mark.distanceKm)}`;
+}
+
+export function useMarkAnnouncer(store) {
+  const announcement = ref('');
+
+  watch(() => store.routeProgress * store.totalDistance, (km, prevKm) => {
+    if (!store.isPlaying || km <= prevKm || km - prevKm > MAX_STEP_KM) return;
+    const passed = store.routeMarks.filter(m => m.distanceKm > prevKm
+      && m.distanceKm <= km
+      && !m.categories.every(c => store.hiddenMarkCategories.includes(c)));
+    if (passed.length) announcement.value = describeMark(passed[passed.length - 1]);
+  });
+
+  return { announcement };
+}
@@ -16,6 +16,8 @@
 import mapboxgl from 'mapbox-gl';
 import { useTheme } from '@/theme/useTheme';
 import { watch } from 'vue';
+import { resolveMarkImage } from '@/utils/resolveMarkImage';
+import { localized, formatMarkLabel } from '@/i18n';
 
 /* ── Popup styles (injected once into document head) ────────── */
 
@@ -78,25 +80,6 @@ function injectPopupStyles() {
   document.head.appendChild(style);
 }
 
-/**
- * Eagerly import all mark images at build time so Vite includes them
- * in the production bundle with hashed filenames.
- * Keys are like '../assets/dist_mark.png'; values are resolved URLs.
- */
-const markImageModules = import.meta.glob('../assets/*_mark.png', { eager: true, import: 'default' });
-
-/**
- * Resolve a GeoJSON asset path (e.g. "assets/dist_mark.png") to a
- * Vite-resolved URL that works in both dev and production builds.
- * @param {string} path - Relative path from GeoJSON (e.g. "assets/dist_mark.png")
- * @returns {string|null} Resolved URL or null if not found
- */
-function resolveAssetUrl(path) {
-  // GeoJSON stores "assets/foo_mark.png"; glob keys are "../assets/foo_mark.png"
-  const key = '../' + path;
-  return markImageModules[key] ?? null;
-}
-
 /**
  * Build HTML content for the popup from a single mark's GeoJSON properties.
  * Selects the image path based on the current theme.
@@ -109,13 +92,14 @@ function buildPopupHTML(mark, isLight) {
   const imgPath = isLight ? mark.path_l : mark.path_d;
   if (!imgPath) return '';
 
-  const imgUrl = resolveAssetUrl(imgPath);
+  const imgUrl = resolveMarkImage(imgPath);
   if (!imgUrl) return '';
-  const label = mark.label
-    ? `<span class="mark-popup__label">${mark.label}</span>`
+  const text = formatMarkLabel(localized(mark.label));
+  const label = text
+    ? `<span class="mark-popup__label">${text}</span>`
     : '';
 
-  return `<div class="mark-popup"><div class="mark-popup__item"><img class="mark-popup__icon" src="${imgUrl}" alt="${mark.label || ''}" />${label}</div></div>`;
+  return `<div class="mark-popup"><div class="mark-popup__item"><img class="mark-popup__icon" src="${imgUrl}" alt="${text || ''}" />${label}</div></div>`;
 }
 
 /**
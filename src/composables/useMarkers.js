@@ -2,9 +2,12 @@
  * useMarkers — Composable for race marks layer management and popup interaction.
  *
  * Behavior:
- *  - "Dist" circle markers (orange dots) are always visible on the map in pause/overview.
- *  - A second layer shows ALL marks (with `name !== null && path_l !== null`) when playing,
+ *  - "distance" circle markers (orange dots) are always visible on the map in pause/overview.
+ *  - A second layer shows ALL categorised marks when playing,
  *    visible only above a configurable `minzoom` threshold.
+ *  - Categories (see config/markCategories) can be hidden at runtime with
+ *    `setHiddenCategories`; hidden marks disappear from both layers and
+ *    stop triggering popups.
  *  - During animation, a route-fraction geofence popup appears when the race
  *    head reaches each mark's position along the route.
  *  - Each mark triggers its popup individually (no clustering).
@@ -17,27 +20,25 @@
  * @param {boolean}      showMarks     - Whether to activate marks rendering
  * @param {Object}       lineFeature   - GeoJSON LineString feature of the route
  * @param {number}       totalDistance - Total route distance (km, from turf.lineDistance)
- * @returns {{ updateHeadPosition: Function, resetPopup: Function, showPlayMarks: Function, showPauseMarks: Function }}
+ * @returns {{ updateHeadPosition: Function, resetPopup: Function, showPlayMarks: Function, showPauseMarks: Function, setHiddenCategories: Function }}
  */
 
 import turf from 'turf';
 import { useMarkPopup } from '@/composables/useMarkPopup';
+import { distanceAlongRoute } from '@/utils/routeGeometry';
+import { markCategoriesOf } from '@/config/markCategories';
 import tokens from '@/theme/tokens';
 
 /**
- * Mapbox expression filter: features whose name starts with "Dist"
- * (matches "Dist" and "Dist, Service").
+ * Mapbox expression filter: distance (KM sign) marks, including combined
+ * signs such as "km 5 + water" whose primary category is distance.
  */
-const DIST_FILTER = ['==', ['slice', ['coalesce', ['get', 'name'], ''], 0, 4], 'Dist'];
+const DIST_FILTER = ['==', ['get', 'category'], 'distance'];
 
 /**
- * Mapbox expression filter: all features with name !== null and path_l !== null.
+ * Mapbox expression filter: every categorised mark.
  */
-const ALL_MARKS_FILTER = [
-  'all',
-  ['!=', ['get', 'name'], null],
-  ['has', 'path_l'],
-];
+const ALL_MARKS_FILTER = ['has', 'category'];
 
 /**
  * Phase buffer before a mark's route-fraction where the popup appears.
@@ -58,41 +59,35 @@ const PHASE_TRAIL = 0.004;
  */
 const MIN_PHASE_DELTA = 0.0005;
 
-/**
- * Calculate the distance along `lineFeature` to the `snapped` point returned
- * by turf.pointOnLine.
- *
- * @param {Object} lineFeature - GeoJSON LineString Feature (the route)
- * @param {Object} snapped     - Point Feature returned by turf.pointOnLine
- * @returns {number} Distance in km along the route to the snapped point.
- */
-function distanceAlongRoute(lineFeature, snapped) {
-  const coords = lineFeature.geometry.coordinates;
-  const segIdx = snapped.properties.index;
-  let dist = 0;
-
-  for (let i = 0; i < segIdx; i++) {
-    dist += turf.distance(turf.point(coords[i]), turf.point(coords[i + 1]));
-  }
-
-  dist += turf.distance(turf.point(coords[segIdx]), snapped);
-  return dist;
-}
-
 export function useMarkers(map, marksData, showMarks, lineFeature, totalDistance) {
   const noop = () => {};
   if (
     !showMarks || !marksData || !marksData.features || marksData.features.length === 0
     || !lineFeature || !totalDistance
   ) {
-    return { updateHeadPosition: noop, resetPopup: noop, showPlayMarks: noop, showPauseMarks: noop };
+    return {
+      updateHeadPosition: noop, resetPopup: noop, showPlayMarks: noop, showPauseMarks: noop, setHiddenCategories: noop,
+    };
   }
 
-  // -- Filter marks: only features with name !== null and path_l !== null --
+  // -- Normalise marks: keep categorised features only, with an explicit
+  //    (primary) `category` property even for legacy files. `services` is an
+  //    array and stays on the JS side — Mapbox stringifies nested values. --
+  const features = marksData.features
+    .map((f) => {
+      const categories = markCategoriesOf(f.properties);
+      if (categories.length === 0) return null;
+      const properties = { ...f.properties, category: categories[0] };
+      delete properties.services;
+      return { feature: { ...f, properties }, categories };
+    })
+    .filter(Boolean);
+
+  // -- Filter marks: only categorised features with an image --
   const safeTotalDistance = totalDistance || 1;
-  const marks = marksData.features
-    .filter((f) => f.properties.name != null && f.properties.path_l != null)
-    .map((f, index) => {
+  const marks = features
+    .filter(({ feature }) => feature.properties.path_l != null)
+    .map(({ feature: f, categories }, index) => {
       const props = f.properties;
       const lng = f.geometry.coordinates[0];
       const lat = f.geometry.coordinates[1];
@@ -109,6 +104,8 @@ export function useMarkers(map, marksData, showMarks, lineFeature, totalDistance
         path_l: props.path_l,
         path_d: props.path_d,
         sequence: props.sequence ?? index,
+        categories,
+        hidden: false,
         routeFraction,
       };
     });
@@ -128,7 +125,10 @@ export function useMarkers(map, marksData, showMarks, lineFeature, totalDistance
   }
 
   // -- GeoJSON source (shared by all layers) --
-  map.addSource('marks', { type: 'geojson', data: marksData });
+  map.addSource('marks', {
+    type: 'geojson',
+    data: { type: 'FeatureCollection', features: features.map(({ feature }) => feature) },
+  });
 
   // -- Dist circle layer — visible in pause/overview, orange dots --
   map.addLayer({
@@ -231,6 +231,7 @@ export function useMarkers(map, marksData, showMarks, lineFeature, totalDistance
     // Find the mark whose window contains the current phase
     for (let i = 0; i < marks.length; i++) {
       const m = marks[i];
+      if (m.hidden) continue;
       if (phase >= m.routeFraction - PHASE_LEAD && phase <= m.routeFraction + PHASE_TRAIL) {
         showPopup([m.lng, m.lat], m);
         activeMarkIdx = i;
@@ -248,5 +249,32 @@ export function useMarkers(map, marksData, showMarks, lineFeature, totalDistance
     lastCheckedPhase = -1;
   }
 
-  return { updateHeadPosition, resetPopup, showPlayMarks, showPauseMarks };
+  /**
+   * Hide every mark whose categories are all in `hiddenCategories`.
+   * Updates the map source and the popup candidates; a popup showing a
+   * now-hidden mark is closed.
+   *
+   * @param {string[]} hiddenCategories - Category ids to hide
+   */
+  function setHiddenCategories(hiddenCategories) {
+    const hidden = new Set(hiddenCategories);
+    const isHidden = categories => categories.every(c => hidden.has(c));
+
+    map.getSource('marks').setData({
+      type: 'FeatureCollection',
+      features: features
+        .filter(({ categories }) => !isHidden(categories))
+        .map(({ feature }) => feature),
+    });
+
+    marks.forEach((m) => {
+      m.hidden = isHidden(m.categories);
+    });
+
+    if (activeMarkIdx >= 0 && marks[activeMarkIdx].hidden) {
+      resetPopup();
+    }
+  }
+
+  return { updateHeadPosition, resetPopup, showPlayMarks, showPauseMarks, setHiddenCategories };
 }
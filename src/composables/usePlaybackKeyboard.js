@@ -0,0 +1,115 @@
+/**
+ * usePlaybackKeyboard — Composable for keyboard control of the playback.
+ *
+ *  - Space: play / pause
+ *  - ← / →: seek 100 m (↓ / ↑, Shift+← / →, PageDown / PageUp: 1 km)
+ *  - Home / End: start / finish
+ *  - [ / ]: slower / faster (SPEED_OPTIONS)
+ *  - 1–9: jump to the 1st–9th distance mark, 0: back to the start
+ *  - C: next camera mode
+ *
+ * Listens on the window so shortcuts work without focusing the bar, but
+ * leaves keys alone while typing in a form field, when a modifier (Ctrl,
+ * Alt, Meta) is held, or when the map has focus (Mapbox pans with arrows).
+ * In ghost / replay mode the timeline is time-based: steps become the same
+ * fraction of the timeline and mark jumps are disabled.
+ *
+ * @param {import('pinia').Store} store - The playback Pinia store instance
+ */
+
+import { onMounted, onBeforeUnmount } from 'vue';
+import { SPEED_OPTIONS } from '@/stores/playbackStore';
+
+/** Seek steps in km */
+const SMALL_STEP_KM = 0.1;
+const LARGE_STEP_KM = 1;
+
+/**
+ * Whether a key event comes from somewhere that needs its own keys.
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTypingTarget(event) {
+  const el = event.target;
+  if (!(el instanceof HTMLElement)) return false;
+  return el.isContentEditable
+    || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)
+    || el.closest('.mapboxgl-map') !== null;
+}
+
+export function usePlaybackKeyboard(store) {
+  const timeBased = () => Boolean(store.ghost || store.replay);
+
+  /** Seek to a timeline fraction (clamped) */
+  function seekTo(fraction) {
+    store.setProgress(Math.max(0, Math.min(1, fraction)));
+  }
+
+  /** Seek by a distance (a proportional timeline step in time-based modes) */
+  function seekBy(km) {
+    if (!store.totalDistance) return;
+    seekTo(store.progress + km / store.totalDistance);
+  }
+
+  /** Step through SPEED_OPTIONS (-1 slower, +1 faster), stopping at the ends */
+  function stepSpeed(direction) {
+    const i = SPEED_OPTIONS.indexOf(store.speed);
+    const next = Math.max(0, Math.min(SPEED_OPTIONS.length - 1, (i === -1 ? 0 : i) + direction));
+    store.setSpeed(SPEED_OPTIONS[next]);
+  }
+
+  /** Jump to the nth distance mark (1-based), 0 = start */
+  function jumpToMark(n) {
+    if (timeBased() || !store.totalDistance) return;
+    if (n === 0) {
+      seekTo(0);
+      return;
+    }
+    const marks = store.routeMarks.filter(m => m.categories.includes('distance'));
+    const mark = marks[n - 1];
+    if (mark) store.seekToKm(mark.distanceKm);
+  }
+
+  /** @param {KeyboardEvent} event */
+  function onKeydown(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey || isTypingTarget(event)) return;
+    // Playback is driven frame by frame while a flyover video renders
+    if (store.recording) return;
+
+    const large = event.shiftKey ? LARGE_STEP_KM : SMALL_STEP_KM;
+    switch (event.key) {
+      case ' ':
+        // Let a focused button handle its own Space
+        if (event.target instanceof HTMLButtonElement) return;
+        store.togglePlay();
+        break;
+      case 'ArrowRight': seekBy(large); break;
+      case 'ArrowLeft': seekBy(-large); break;
+      case 'ArrowUp':
+      case 'PageUp': seekBy(LARGE_STEP_KM); break;
+      case 'ArrowDown':
+      case 'PageDown': seekBy(-LARGE_STEP_KM); break;
+      case 'Home': seekTo(0); break;
+      case 'End': seekTo(1); break;
+      case '[': stepSpeed(-1); break;
+      case ']': stepSpeed(1); break;
+      case 'c':
+      case 'C': store.cycleCameraMode(); break;
+      default:
+        if (/^[0-9]$/.test(event.key)) {
+          jumpToMark(Number(event.key));
+          break;
+        }
+        return;
+    }
+    event.preventDefault();
+  }
+
+  onMounted(() => {
+    window.addEventListener('keydown', onKeydown);
+  });
+
+  onBeforeUnmount(() => {
+    window.removeEventListener('keydown', onKeydown);
+  });
+}
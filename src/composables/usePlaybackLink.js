@@ -0,0 +1,89 @@
+/**
+ * usePlaybackLink — Composable that keeps the playback moment (distance,
+ * speed, camera) in the URL query of the route view so it survives a reload
+ * and can be shared.
+ *
+ *  - `restoreFromQuery()` applies `?km=&speed=&camera=` to the store once
+ *    `loadRoute` has finished.
+ *  - `startQuerySync()` mirrors the store into the query, at most once per
+ *    QUERY_SYNC_MS while playing (router.replace — no history entries).
+ *  - `linkToMoment()` is the absolute URL of the current moment.
+ *
+ * The camera is the camera mode while playing and 'overview' when paused;
+ * a link with a camera mode selects it and starts playing.
+ *
+ * @param {import('pinia').Store} store - The playback Pinia store instance
+ * @returns {{ restoreFromQuery: Function, startQuerySync: Function, linkToMoment: Function }}
+ */
+
+import { watch, onBeforeUnmount } from 'vue';
+import { useRoute, useRouter } from 'vue-router';
+import { SPEED_OPTIONS } from '@/stores/playbackStore';
+import { playbackToQuery, playbackFromQuery } from '@/utils/playbackQuery';
+
+/** Minimum ms between URL updates */
+const QUERY_SYNC_MS = 1000;
+
+export function usePlaybackLink(store) {
+  const route = useRoute();
+  const router = useRouter();
+  let _syncTimeout = null;
+
+  /** Query of the current moment merged into the current route query */
+  function momentQuery() {
+    return {
+      ...route.query,
+      ...playbackToQuery({
+        km: store.routeProgress * store.totalDistance,
+        speed: store.speed,
+        camera: store.isPlaying ? store.cameraMode : 'overview',
+      }),
+    };
+  }
+
+  /** Apply the linked moment to the freshly loaded route. */
+  function restoreFromQuery() {
+    if (store.error || !store.totalDistance) return;
+    const { km, speed, camera } = playbackFromQuery(route.query, store.totalDistance, SPEED_OPTIONS);
+    if (speed !== null) store.setSpeed(speed);
+    if (km !== null) store.seekToKm(km);
+    if (camera && camera !== 'overview') {
+      store.setCameraMode(camera);
+      if (!store.isPlaying) store.togglePlay();
+    }
+  }
+
+  function writeQuery() {
+    _syncTimeout = null;
+    if (store.loading || store.error) return;
+    const query = momentQuery();
+    const changed = ['km', 'speed', 'camera'].some(key => query[key] !== route.query[key]);
+    if (changed) router.replace({ query });
+  }
+
+  /** Mirror the playback moment into the URL from now on. */
+  function startQuerySync() {
+    watch(() => [store.routeProgress, store.speed, store.isPlaying, store.cameraMode], () => {
+      if (!_syncTimeout) _syncTimeout = setTimeout(writeQuery, QUERY_SYNC_MS);
+    });
+  }
+
+  /**
+   * Absolute URL of the current moment.
+   * @returns {string}
+   */
+  function linkToMoment() {
+    const { href } = router.resolve({ name: route.name, params: route.params, query: momentQuery() });
+    return new URL(href, window.location.origin).href;
+  }
+
+  onBeforeUnmount(() => {
+    if (_syncTimeout) clearTimeout(_syncTimeout);
+  });
+
+  return {
+    restoreFromQuery,
+    startQuerySync,
+    linkToMoment,
+  };
+}
@@ -3,12 +3,23 @@
  *
  * Derives formatted distance, elevation, slope, total ascent, and time
  * from the current progress and elevation profile data in the Pinia playbackStore.
+ * Distance and elevations are in the runner's unit system (km / m or
+ * mi / ft, see i18n/units); the unit symbols come from `units`.
+ * Distance-based stats follow the route head (`store.routeProgress`), which
+ * in race replay is the focused runner rather than the timeline.
+ * The time is the race clock in replay, the ghost runner's real elapsed
+ * time in ghost mode, the simulated race clock in pace-realistic playback,
+ * else the pace planner's goal when one is set,
+ * otherwise the timestamps of the profile (recorded GPX tracks).
  *
  * @param {import('pinia').Store} store - The playback Pinia store instance
  * @returns {{ formattedDistance, formattedElevation, formattedSlope, formattedTotalAscent, formattedTime, currentProfilePoint }}
  */
 
 import { computed } from 'vue';
+import { timeAtDistance } from '@/utils/pacePlan';
+import { formatDuration } from '@/utils/formatTime';
+import { formatNumber, toDistance, toElevation } from '@/i18n';
 
 /**
  * Binary search for the nearest elevation profile point by cumulative distance.
@@ -38,52 +49,54 @@ export function usePlaybackStats(store) {
     if (!store.elevationProfile || store.elevationProfile.length === 0) {
       return null;
     }
-    const currentDist = store.progress * store.totalDistance;
+    const currentDist = store.routeProgress * store.totalDistance;
     return findNearestPoint(store.elevationProfile, currentDist);
   });
 
-  /** Current distance in km, formatted to 1 decimal place */
+  /** Current distance, formatted to 1 decimal place in the active locale */
   const formattedDistance = computed(() => {
-    const dist = store.progress * store.totalDistance;
-    return dist.toFixed(1);
+    const dist = store.routeProgress * store.totalDistance;
+    return formatNumber(toDistance(dist), 1);
   });
 
-  /** Current elevation in meters, rounded to integer */
+  /** Current elevation, rounded to integer */
   const formattedElevation = computed(() => {
     if (!currentProfilePoint.value) return '0';
-    return Math.round(currentProfilePoint.value.ele);
+    return formatNumber(toElevation(currentProfilePoint.value.ele));
   });
 
   /** Current slope percentage with sign prefix */
   const formattedSlope = computed(() => {
-    if (!currentProfilePoint.value) return '+0.0%';
-    const slope = currentProfilePoint.value.slope_percent;
-    const sign = slope >= 0 ? '+' : '';
-    return `${sign}${slope.toFixed(1)}%`;
+    if (!currentProfilePoint.value) return `${formatNumber(0, 1, { signDisplay: 'always' })}%`;
+    return `${formatNumber(currentProfilePoint.value.slope_percent, 1, { signDisplay: 'always' })}%`;
   });
 
-  /** Cumulative positive elevation gain in meters, rounded */
+  /** Cumulative positive elevation gain, rounded */
   const formattedTotalAscent = computed(() => {
     if (!currentProfilePoint.value) return '0';
-    return Math.round(currentProfilePoint.value.elev_gain_pos_cum_m);
+    return formatNumber(toElevation(currentProfilePoint.value.elev_gain_pos_cum_m));
   });
 
   /** Elapsed time in HH:MM:SS format */
   const formattedTime = computed(() => {
+    if (store.replay) {
+      return formatDuration(store.replayClock);
+    }
+    if (store.ghost) {
+      return formatDuration(store.progress * store.ghost.totalSeconds);
+    }
+    if (store.paceTimeline) {
+      return formatDuration(store.progress * store.paceTimeline.totalSeconds);
+    }
+    if (store.pacePlan) {
+      return formatDuration(timeAtDistance(store.pacePlan, store.progress * store.totalDistance));
+    }
     if (!store.elevationProfile || store.elevationProfile.length === 0 || !currentProfilePoint.value) {
       return '00:00:00';
     }
     const startTime = new Date(store.elevationProfile[0].time).getTime();
     const currentTime = new Date(currentProfilePoint.value.time).getTime();
-    const totalSeconds = Math.max(0, Math.floor((currentTime - startTime) / 1000));
-    const h = Math.floor(totalSeconds / 3600);
-    const m = Math.floor((totalSeconds % 3600) / 60);
-    const s = totalSeconds % 60;
-    return [
-      String(h).padStart(2, '0'),
-      String(m).padStart(2, '0'),
-      String(s).padStart(2, '0'),
-    ].join(':');
+    return formatDuration(Math.max(0, Math.floor((currentTime - startTime) / 1000)));
   });
 
   return {
@@ -0,0 +1,78 @@
+/**
+ * useProfileCursor — Composable that links the map route with the
+ * elevation profile panel.
+ *
+ *  - Chart → map: `showCursor(fraction)` draws a cursor dot on the route.
+ *  - Map → chart: hovering the route (a wide invisible hit line over the
+ *    full-route source) projects the pointer onto the line — same
+ *    turf.pointOnLine logic as the marks — and reports the route fraction.
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance (useMapLayers must have added 'full-route')
+ * @param {Object} lineFeature - GeoJSON LineString feature
+ * @param {(phase: number) => [number, number]} coordAtPhase - Route position lookup by route fraction
+ * @param {(fraction: number|null) => void} onHover - Called with the hovered route fraction, null on leave
+ * @returns {{ showCursor: Function }}
+ */
+
+import turf from 'turf';
+import tokens from '@/theme/tokens';
+import { projectOnRoute } from '@/utils/routeGeometry';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+export function useProfileCursor(map, lineFeature, coordAtPhase, onHover) {
+  const lineKm = turf.lineDistance(lineFeature) || 1;
+
+  // --- Hit area (invisible, wider than the drawn route) ---
+  map.addLayer({
+    id: 'routeHoverLayer',
+    type: 'line',
+    source: 'full-route',
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-width': 24,
+      'line-opacity': 0,
+    },
+  });
+
+  // --- Cursor dot ---
+  map.addSource('profile-cursor', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'profileCursorLayer',
+    type: 'circle',
+    source: 'profile-cursor',
+    paint: {
+      'circle-radius': 7,
+      'circle-color': tokens.colors.brand.accent,
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#ffffff',
+    },
+  });
+
+  map.on('mousemove', 'routeHoverLayer', (e) => {
+    map.getCanvas().style.cursor = 'crosshair';
+    const km = projectOnRoute(lineFeature, [e.lngLat.lng, e.lngLat.lat]);
+    onHover(Math.min(1, km / lineKm));
+  });
+
+  map.on('mouseleave', 'routeHoverLayer', () => {
+    map.getCanvas().style.cursor = '';
+    onHover(null);
+  });
+
+  /**
+   * Move the cursor dot.
+   * @param {number|null} fraction - Route fraction 0–1, null hides the cursor
+   */
+  function showCursor(fraction) {
+    map.getSource('profile-cursor').setData(fraction === null ? EMPTY : {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Point', coordinates: coordAtPhase(fraction) },
+    });
+  }
+
+  return {
+    showCursor,
+  };
+}
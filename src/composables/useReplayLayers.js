@@ -0,0 +1,110 @@
+/**
+ * useReplayLayers — Composable that draws race-replay runners on the map.
+ *
+ * All runners share one GeoJSON source rendered as a circle layer, so
+ * hundreds of moving dots cost a single `setData` per update instead of one
+ * HTML marker each. Updates from the frame loop are throttled; seeks and
+ * filter changes redraw immediately.
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {(phase: number) => [number, number]} coordAtPhase - Route position lookup by route fraction
+ * @param {number} totalDistance - Route length in km (the unit of replay distances)
+ * @returns {{ setReplay: Function, setRunners: Function, updateRunners: Function }}
+ */
+
+import tokens from '@/theme/tokens';
+import { runnerDistanceAt } from '@/utils/raceReplay';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+/** Minimum ms between frame-loop redraws (~20 fps, same as store progress) */
+const REDRAW_THROTTLE_MS = 50;
+
+export function useReplayLayers(map, coordAtPhase, totalDistance) {
+  let replay = null;
+  let runners = [];
+  let focusBib = null;
+  let lastSeconds = 0;
+  let lastDraw = 0;
+
+  map.addSource('replay-runners', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'replayRunnersLayer',
+    type: 'circle',
+    source: 'replay-runners',
+    paint: {
+      'circle-radius': ['case', ['get', 'focus'], 8, 4],
+      'circle-color': ['case', ['get', 'focus'], tokens.colors.route.head, tokens.colors.route.runner],
+      'circle-stroke-width': 1,
+      'circle-stroke-color': '#ffffff',
+      'circle-opacity': ['case', ['get', 'stopped'], 0.35, 0.9],
+    },
+  });
+
+  /** Rebuild the runners source for a race-clock time. */
+  function draw(seconds) {
+    lastSeconds = seconds;
+    lastDraw = performance.now();
+    if (!replay) {
+      map.getSource('replay-runners').setData(EMPTY);
+      return;
+    }
+
+    const safeTotal = totalDistance || 1;
+    map.getSource('replay-runners').setData({
+      type: 'FeatureCollection',
+      features: runners.map((runner) => {
+        const distanceKm = runnerDistanceAt(runner, seconds);
+        const lastTime = runner.times[runner.times.length - 1];
+        return {
+          type: 'Feature',
+          properties: {
+            bib: runner.bib,
+            focus: runner.bib === focusBib,
+            stopped: runner.finishSeconds === null && seconds > lastTime,
+          },
+          geometry: { type: 'Point', coordinates: coordAtPhase(distanceKm / safeTotal) },
+        };
+      }),
+    });
+  }
+
+  /**
+   * Replace the replay model (null clears the runners).
+   * @param {Object|null} model - Output of buildRaceReplay
+   */
+  function setReplay(model) {
+    replay = model;
+    runners = model ? model.runners : [];
+    focusBib = null;
+    draw(lastSeconds);
+  }
+
+  /**
+   * Set which runners are drawn (filters) and which one is highlighted.
+   * @param {Array<Object>} visibleRunners - Filtered replay runners
+   * @param {string|null} bib - Focused runner
+   */
+  function setRunners(visibleRunners, bib) {
+    runners = visibleRunners;
+    focusBib = bib;
+    draw(lastSeconds);
+  }
+
+  /**
+   * Move runners to a race-clock time.
+   * @param {number} seconds - Race clock
+   * @param {boolean} [force] - Skip the frame-loop throttle (seeks)
+   */
+  function updateRunners(seconds, force = false) {
+    if (!replay) return;
+    if (!force && performance.now() - lastDraw < REDRAW_THROTTLE_MS) return;
+    draw(seconds);
+  }
+
+  return {
+    setReplay,
+    setRunners,
+    updateRunners,
+  };
+}
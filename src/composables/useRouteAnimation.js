@@ -4,28 +4,126 @@
  * Manages:
  *  - `requestAnimationFrame` loop (frame → updateDisplay → camera)
  *  - Play / pause / speed / seek controls (driven by the Pinia playbackStore)
+ *  - End of route (`store.endBehaviour`): stop at the finish (summary
+ *    overlay), loop back to the start, or ping-pong back and forth
+ *  - Guided tour (`store.tourMode`): playback holds at each chapter of
+ *    `store.tourStops` while its card is open (`store.tourChapter`) and
+ *    continues from the same moment when it closes.
+ *  - Camera modes (`store.cameraMode`: follow, chase, top-down, cinematic,
+ *    free), switchable while playing
+ *  - Ghost-runner mode: when `store.ghost` holds a recorded activity, the
+ *    timeline becomes the athlete's real elapsed time (compressed by
+ *    GHOST_TIME_SCALE) instead of `routeConfig.duration`. The route head is
+ *    an even-pace reference finishing with the athlete; the ghost head
+ *    follows the recording.
+ *  - Pace-realistic playback: with `store.paceTimeline` the timeline is a
+ *    simulated race (compressed by PACE_TIME_SCALE) and the head moves at
+ *    the simulated pace, slowing on climbs.
+ *  - Race replay: when `store.replay` holds chip-timing results, the
+ *    timeline is the race clock (compressed by REPLAY_TIME_SCALE); runners
+ *    are drawn as dots and the route head follows `store.replayFocusBib`
+ *    or the leader of the filtered field.
+ *  - Live tracking: runners from the tracking feed (`store.liveRunners`)
+ *    are redrawn whenever a batch of fixes lands, independently of the
+ *    animation timeline.
+ *  - Profile linking: `store.profileHover` (set by the profile panel or by
+ *    hovering the route) is shown as a cursor on the route.
+ *  - Route colour: with `store.routeColorMode === 'grade'` the route and the
+ *    animated line are coloured by grade band (`store.gradeRuns`).
+ *  - Climbs: `store.climbs` are highlighted while the climbs list is open.
+ *  - Basemap swaps: `holdForStyle(true)` freezes the timeline while a new
+ *    map style loads and our layers are re-added (useMapTheme);
+ *    `holdForStyle(false)` continues from the same moment.
+ *  - Video export: when `store.recording` is set, the playback is rendered
+ *    frame by frame at fixed phase steps (independent of wall-clock time)
+ *    into a WebM via useScreenRecording, with the title / playback overlays
+ *    and the route head painted over the map (utils/flyoverOverlay).
  *
- * Delegates layer management to useMapLayers and marks to useMarkers.
+ * Delegates layer management to useMapLayers, marks to useMarkers, the
+ * ghost to useGhostLayers, replay runners to useReplayLayers, live
+ * runners to useLiveLayers, the profile cursor to useProfileCursor and
+ * climb highlights to useClimbLayers, tour chapters to useTourChapters,
+ * the playback camera to
+ * useAnimationCamera and video encoding to useScreenRecording.
  *
  * Captured closure variables (startTime, isPaused, speed, …) avoid Vue
  * reactivity overhead for high-frequency animation state.
  *
  * @param {import('pinia').Store} store - The playback Pinia store instance
- * @returns {{ setup: (map: mapboxgl.Map) => void }}
+ * @returns {{ setup: (map: mapboxgl.Map) => void, holdForStyle: (holding: boolean) => void }}
  */
 
 import { watch, onBeforeUnmount } from 'vue';
 import mapboxgl from 'mapbox-gl';
 import turf from 'turf';
-import tokens from '@/theme/tokens';
 import { useMapLayers } from '@/composables/useMapLayers';
 import { useMarkers } from '@/composables/useMarkers';
+import { useGhostLayers } from '@/composables/useGhostLayers';
+import { useReplayLayers } from '@/composables/useReplayLayers';
+import { useLiveLayers } from '@/composables/useLiveLayers';
+import { useProfileCursor } from '@/composables/useProfileCursor';
+import { useClimbLayers } from '@/composables/useClimbLayers';
+import { useScreenRecording } from '@/composables/useScreenRecording';
+import { useAnimationCamera } from '@/composables/useAnimationCamera';
+import { useTourChapters } from '@/composables/useTourChapters';
+import { leaderAt, runnerDistanceAt } from '@/utils/raceReplay';
+import { distanceAtTime } from '@/utils/pacePlan';
+import { ghostStateAt } from '@/utils/ghostTrack';
+import { elevationAt } from '@/utils/buildElevationProfile';
+import { drawFlyoverOverlay, overlayPalette } from '@/utils/flyoverOverlay';
+import { downloadBlob } from '@/utils/downloadFile';
+import { t, localized } from '@/i18n';
+
+/**
+ * Real race seconds per animation second in ghost mode
+ * (a 3:30 marathon plays in 7 minutes at 1x).
+ */
+const GHOST_TIME_SCALE = 30;
+
+/**
+ * Race-clock seconds per animation second in race replay
+ * (a 6-hour marathon field plays in 6 minutes at 1x).
+ */
+const REPLAY_TIME_SCALE = 60;
+
+/**
+ * Simulated race seconds per animation second in pace-realistic playback
+ * (a 10K at 6:00/km plays in 2 minutes at 1x, the same as ghost mode).
+ */
+const PACE_TIME_SCALE = 30;
+
+/**
+ * Animation duration (ms) for the current mode.
+ * @param {import('pinia').Store} store
+ * @returns {number}
+ */
+function animationDuration(store) {
+  if (store.replay) return (store.replay.durationSeconds * 1000) / REPLAY_TIME_SCALE;
+  if (store.ghost) return (store.ghost.totalSeconds * 1000) / GHOST_TIME_SCALE;
+  if (store.paceTimeline) return (store.paceTimeline.totalSeconds * 1000) / PACE_TIME_SCALE;
+  return store.duration;
+}
 
 export function useRouteAnimation(store) {
   // Control closures — assigned inside setup() once the map + data are ready
   let _seekToPhase = null;
   let _togglePause = null;
   let _setSpeed = null;
+  let _setHiddenCategories = null;
+  let _setGhost = null;
+  let _setReplay = null;
+  let _setReplayRunners = null;
+  let _setLiveRunners = null;
+  let _setProfileHover = null;
+  let _setGradeRuns = null;
+  let _setClimbs = null;
+  let _recordFlyover = null;
+  let _setCameraMode = null;
+  let _setPaceTimeline = null;
+  let _setTourStops = null;
+  let _setTourMode = null;
+  let _setTourChapter = null;
+  let _setStyleHold = null;
   let _internalPhase = 0;
   let _animationFrame = null;
   let _restartTimeout = null;
@@ -46,7 +144,65 @@ export function useRouteAnimation(store) {
     if (_setSpeed) _setSpeed(newVal);
   });
 
+  watch(() => store.hiddenMarkCategories, (newVal) => {
+    if (_setHiddenCategories) _setHiddenCategories(newVal);
+  });
+
+  watch(() => store.ghost, (newVal) => {
+    if (_setGhost) _setGhost(newVal);
+  });
+
+  watch(() => store.replay, (newVal) => {
+    if (_setReplay) _setReplay(newVal);
+  });
+
+  watch(() => [store.replayRunners, store.replayFocusBib], ([runners, bib]) => {
+    if (_setReplayRunners) _setReplayRunners(runners, bib);
+  });
+
+  watch(() => store.liveRunners, (newVal) => {
+    if (_setLiveRunners) _setLiveRunners(newVal);
+  });
+
+  watch(() => store.profileHover, (newVal) => {
+    if (_setProfileHover) _setProfileHover(newVal);
+  });
+
+  watch(() => (store.routeColorMode === 'grade' ? store.gradeRuns : null), (newVal) => {
+    if (_setGradeRuns) _setGradeRuns(newVal);
+  });
+
+  watch(() => (store.climbsListOpen ? store.climbs : []), (newVal) => {
+    if (_setClimbs) _setClimbs(newVal);
+  });
+
+  watch(() => store.paceTimeline, (newVal) => {
+    if (_setPaceTimeline) _setPaceTimeline(newVal);
+  });
+
+  watch(() => store.tourStops, (newVal) => {
+    if (_setTourStops) _setTourStops(newVal);
+  });
+
+  watch(() => store.tourMode, (newVal) => {
+    if (_setTourMode) _setTourMode(newVal);
+  });
+
+  watch(() => store.tourChapter, (newVal) => {
+    if (_setTourChapter) _setTourChapter(newVal);
+  });
+
+  watch(() => store.cameraMode, (newVal) => {
+    if (_setCameraMode) _setCameraMode(newVal);
+  });
+
+  watch(() => store.recording, (newVal) => {
+    if (_recordFlyover && newVal) _recordFlyover(newVal);
+  });
+
   onBeforeUnmount(() => {
+    // A video cannot outlive its map
+    if (store.recording) store.finishRecording();
     if (_animationFrame) cancelAnimationFrame(_animationFrame);
     if (_restartTimeout) clearTimeout(_restartTimeout);
   });
@@ -58,7 +214,7 @@ export function useRouteAnimation(store) {
   function setup(map) {
     const pathData = store.pathData;
     const marksData = store.marksData;
-    const duration = store.duration;
+    let duration = animationDuration(store);
     const showMarks = true;
 
     // Extract the LineString feature (first feature in the FeatureCollection)
@@ -121,12 +277,11 @@ export function useRouteAnimation(store) {
     let pauseTimestamp = performance.now();
     let speed = store.speed;
     let hasStarted = false;    // Whether the animation has ever been started
+    let reversed = false;      // Running back toward the start (ping-pong)
+    let tourHoldAt = null;     // When playback started holding at a tour chapter
+    let styleHoldAt = null;    // When playback started holding for a basemap swap
     let savedCameraState = null;
 
-    // Camera lerp state (T7) — smooth interpolation eliminates jumpTo jitter
-    let camCenter = null;      // Current interpolated camera center [lng, lat]
-    let camBearing = 0;        // Current interpolated bearing
-
     // Throttle state for store.setProgress (T11)
     let lastProgressTimestamp = 0;
     /** Minimum ms between store.setProgress calls (~20 fps) */
@@ -141,164 +296,255 @@ export function useRouteAnimation(store) {
     });
 
     // --- Initialize map layers and marks ---
-    const { showAnimationLayers, showOverviewLayers, headMarker } = useMapLayers(map, lineFeature);
-    const { updateHeadPosition, resetPopup, showPlayMarks, showPauseMarks } = useMarkers(map, marksData, showMarks, lineFeature, totalDistance);
-
-    // --- Speed control (called from speed watcher) ---
-    _setSpeed = (newSpeed) => {
-      const now = performance.now();
-      const effectiveNow = isPaused ? pauseTimestamp : now;
+    const {
+      showAnimationLayers, showOverviewLayers, setGradeRuns, lineGradientAt, headMarker,
+    } = useMapLayers(map, lineFeature);
+    const {
+      setTrack, updateGhost, showGhostHead, hideGhostHead,
+    } = useGhostLayers(map);
+    const { setReplay, setRunners, updateRunners } = useReplayLayers(map, coordAtPhase, store.totalDistance);
+    const { setRunners: setLiveRunners } = useLiveLayers(map);
+    const { setClimbs } = useClimbLayers(map, coordAtPhase, store.totalDistance);
+    const recorder = useScreenRecording(map);
+    const camera = useAnimationCamera(map, store, bearingAtPhase);
+    const tour = useTourChapters(map, coordAtPhase, store.totalDistance);
+    _setCameraMode = camera.setMode;
+    const { showCursor } = useProfileCursor(map, lineFeature, coordAtPhase, (fraction) => {
+      store.setProfileHover(fraction === null ? null : fraction * store.totalDistance, 'map');
+    });
+    const {
+      updateHeadPosition, resetPopup, showPlayMarks, showPauseMarks, setHiddenCategories,
+    } = useMarkers(map, marksData, showMarks, lineFeature, totalDistance);
+
+    // --- Mark category visibility (legend toggles) ---
+    _setHiddenCategories = setHiddenCategories;
+    setHiddenCategories(store.hiddenMarkCategories);
+
+    // --- Timeline swaps (ghost / replay loaded or cleared) ---
+    // Keeps the current phase so the view doesn't jump.
+    const retime = () => {
+      const effectiveNow = isPaused ? (pauseTimestamp || performance.now()) : performance.now();
+      const newDuration = animationDuration(store);
       if (startTime !== undefined) {
-        const elapsed = effectiveNow - startTime;
-        const currentPhase = Math.min(elapsed / (duration / speed), 1);
-        speed = newSpeed;
-        startTime = effectiveNow - currentPhase * (duration / speed);
-      } else {
-        speed = newSpeed;
+        const currentPhase = Math.min((effectiveNow - startTime) / (duration / speed), 1);
+        startTime = effectiveNow - currentPhase * (newDuration / speed);
       }
+      duration = newDuration;
     };
 
-    // --- Camera position computation (T7: lerp interpolation) ----------------
-    // Camera lerp factor: 0 = no movement, 1 = instant snap.
-    // 0.08 gives a smooth "camera with inertia" effect that eliminates
-    // the motion-blur caused by the old frame-by-frame jumpTo.
-    const CAM_LERP_ALPHA = 0.08;
+    // --- Ghost runner (loaded / cleared from the ghost watcher) ---
+    _setGhost = (ghost) => {
+      setTrack(ghost);
+      retime();
+      updateGhost(_internalPhase);
+    };
+    setTrack(store.ghost);
+
+    // --- Pace-realistic playback (mode toggled, goal / pace changed) ---
+    // The timeline becomes the simulated race; the head keeps its distance.
+    let paceTimeline = store.paceTimeline;
+    _setPaceTimeline = (timeline) => {
+      const km = headPhaseAt(_internalPhase) * store.totalDistance;
+      paceTimeline = timeline;
+      retime();
+      // Ghost / replay timelines restart on their own
+      if (store.ghost || store.replay) return;
+      store.seekToKm(km);
+    };
 
-    /**
-     * Linear interpolation helper.
-     * @param {number} a - Start value
-     * @param {number} b - End value
-     * @param {number} t - Interpolation factor 0–1
-     * @returns {number}
-     */
-    const lerp = (a, b, t) => a + (b - a) * t;
+    // --- Guided tour (chapters loaded, mode toggled, card opened / closed) ---
+    tour.setStops(store.tourStops);
+    tour.setVisible(store.tourMode);
+    _setTourStops = tour.setStops;
+    _setTourMode = tour.setVisible;
+
+    // An open chapter card holds playback in place (camera included);
+    // closing it continues from the same moment
+    _setTourChapter = (index) => {
+      if (index !== null && !isPaused && tourHoldAt === null) {
+        tourHoldAt = performance.now();
+        if (_animationFrame) cancelAnimationFrame(_animationFrame);
+        if (_restartTimeout) clearTimeout(_restartTimeout);
+      } else if (index === null && tourHoldAt !== null) {
+        if (startTime !== undefined) startTime += performance.now() - tourHoldAt;
+        tourHoldAt = null;
+        if (!isPaused) _animationFrame = window.requestAnimationFrame(frame);
+      }
+    };
 
-    /**
-     * Interpolate bearing accounting for the ±180° wraparound.
-     * Ensures the camera always takes the shortest rotation path.
-     */
-    const lerpBearing = (a, b, t) => {
-      let diff = b - a;
-      // Normalise to -180..180
-      while (diff > 180) diff -= 360;
-      while (diff < -180) diff += 360;
-      return a + diff * t;
+    // --- Basemap swap (useMapTheme): hold while our layers are re-added ---
+    _setStyleHold = (holding) => {
+      if (holding && styleHoldAt === null) {
+        styleHoldAt = performance.now();
+        if (_animationFrame) cancelAnimationFrame(_animationFrame);
+      } else if (!holding && styleHoldAt !== null) {
+        const running = !isPaused && tourHoldAt === null;
+        if (running && startTime !== undefined) startTime += performance.now() - styleHoldAt;
+        styleHoldAt = null;
+        if (running && hasStarted) _animationFrame = window.requestAnimationFrame(frame);
+      }
+    };
+
+    // --- Race replay (results loaded / cleared, filters, focus) ---
+    let replay = store.replay;
+    let replayRunners = store.replayRunners;
+    let replayFocusBib = store.replayFocusBib;
+
+    _setReplay = (model) => {
+      replay = model;
+      setReplay(model);
+      retime();
+    };
+    _setReplayRunners = (runners, bib) => {
+      replayRunners = runners;
+      replayFocusBib = bib;
+      setRunners(runners, bib);
+      if (hasStarted) updateDisplay(_internalPhase, !isPaused);
+    };
+    setReplay(replay);
+    setRunners(replayRunners, replayFocusBib);
+
+    // --- Live tracking (redrawn per batch of feed fixes) ---
+    _setLiveRunners = setLiveRunners;
+    setLiveRunners(store.liveRunners);
+
+    // --- Route colour (solid / grade bands) ---
+    _setGradeRuns = (runs) => {
+      setGradeRuns(runs);
+      if (hasStarted) updateDisplay(_internalPhase, false);
+    };
+    setGradeRuns(store.routeColorMode === 'grade' ? store.gradeRuns : null);
+
+    // --- Climb highlights (shown with the climbs list) ---
+    _setClimbs = setClimbs;
+    setClimbs(store.climbsListOpen ? store.climbs : []);
+
+    // --- Profile cursor (chart ↔ map hover) ---
+    _setProfileHover = (hover) => {
+      showCursor(hover && store.totalDistance ? hover.km / store.totalDistance : null);
     };
 
     /**
-     * Compute the ideal camera center (offset from target by pitch/bearing/altitude)
-     * and apply smooth lerp interpolation before sending to the map.
+     * Route fraction of the head for a timeline phase. Identity except in
+     * race replay, where the head follows the focused runner or the leader.
      *
-     * Replaces the old jumpTo with a lerp that converges toward the target
-     * each frame, producing a fluid "inertia camera" effect.
-     *
-     * @param {number} pitch
-     * @param {number} targetBearing
-     * @param {[number,number]} targetPosition - [lng, lat] of the route head
-     * @param {number} altitude
+     * @param {number} phase - Timeline phase 0–1
+     * @returns {number} Route fraction 0–1
      */
-    const computeCameraPosition = (pitch, targetBearing, targetPosition, altitude) => {
-      const bearingInRadian = targetBearing / 57.29;
-      const pitchInRadian = (90 - pitch) / 57.29;
-
-      const lngDiff =
-        ((altitude * Math.tan(pitchInRadian)) * Math.sin(-bearingInRadian)) / 70000;
-      const latDiff =
-        ((altitude * Math.tan(pitchInRadian)) * Math.cos(-bearingInRadian)) / 110000;
-
-      const idealCenter = [
-        targetPosition[0] + lngDiff,
-        targetPosition[1] - latDiff,
-      ];
+    const headPhaseAt = (phase) => {
+      if (paceTimeline) {
+        const km = distanceAtTime(paceTimeline, phase * paceTimeline.totalSeconds);
+        return store.totalDistance ? km / store.totalDistance : 0;
+      }
+      if (!replay) return phase;
+      const seconds = phase * replay.durationSeconds;
+      const focused = replayRunners.find(r => r.bib === replayFocusBib);
+      const distanceKm = focused
+        ? runnerDistanceAt(focused, seconds)
+        : (leaderAt(replayRunners, seconds)?.distanceKm ?? 0);
+      return store.totalDistance ? distanceKm / store.totalDistance : 0;
+    };
 
-      // First frame or after seek: snap instantly, then lerp from there
-      if (!camCenter) {
-        camCenter = idealCenter;
-        camBearing = targetBearing;
+    // --- Speed control (called from speed watcher) ---
+    _setSpeed = (newSpeed) => {
+      const now = performance.now();
+      const effectiveNow = isPaused ? pauseTimestamp : now;
+      if (startTime !== undefined) {
+        const elapsed = effectiveNow - startTime;
+        const currentPhase = Math.min(elapsed / (duration / speed), 1);
+        speed = newSpeed;
+        startTime = effectiveNow - currentPhase * (duration / speed);
       } else {
-        camCenter = [
-          lerp(camCenter[0], idealCenter[0], CAM_LERP_ALPHA),
-          lerp(camCenter[1], idealCenter[1], CAM_LERP_ALPHA),
-        ];
-        camBearing = lerpBearing(camBearing, targetBearing, CAM_LERP_ALPHA);
+        speed = newSpeed;
       }
-
-      map.jumpTo({
-        center: camCenter,
-        zoom: 17,
-        pitch,
-        bearing: camBearing,
-      });
     };
 
     // --- Display update helper (used by both animation frame and seek) ---
     // Batches all visual updates (head marker, popup, camera, line gradient)
     // into a single function to minimize repaints (T10).
-    const updateDisplay = (phase, moveCamera = true) => {
+    const updateDisplay = (phase, moveCamera = true, forceRunners = false) => {
+      // Timeline phase → route fraction of the head (differs in race replay)
+      const headPhase = headPhaseAt(phase);
+
       // Fast O(1) coordinate lookup from the pre-computed table (T12)
-      const [lng, lat] = coordAtPhase(phase);
+      const [lng, lat] = coordAtPhase(headPhase);
 
       // ── Batch 1: DOM updates (no Mapbox GL render pipeline) ──────────
       // Update the head marker BEFORE the camera to keep them in sync
       headMarker.setLngLat([lng, lat]);
+      updateGhost(phase);
+      if (replay) updateRunners(phase * replay.durationSeconds, forceRunners);
 
       // Update mark popup (proximity-based, debounced by phase delta)
-      updateHeadPosition(lng, lat, phase, !isPaused);
+      updateHeadPosition(lng, lat, headPhase, !isPaused);
 
       // ── Batch 2: Mapbox GL state updates ─────────────────────────────
-      if (moveCamera) {
-        // Bearing derived from route tangent for natural camera orientation (T8)
-        const bearing = bearingAtPhase(phase);
-        // Lerp-smoothed camera positioning (T7)
-        computeCameraPosition(45, bearing, [lng, lat], 50);
-      }
-
-      // Two-tone gradient on the route line (single Mapbox paint call)
-      const safePhase = Math.max(phase, 0.0001);
-      map.setPaintProperty('lineLayer', 'line-gradient', [
-        'interpolate',
-        ['linear'],
-        ['line-progress'],
-        0,
-        tokens.colors.route.gradientStart,
-        safePhase,
-        tokens.colors.route.gradientEnd,
-        Math.min(safePhase + 0.0001, 1),
-        'rgba(0, 0, 0, 0)',
-      ]);
+      // Lerp-smoothed camera in the selected mode (T7, useAnimationCamera)
+      if (moveCamera) camera.update(headPhase, [lng, lat]);
+
+      // Progress gradient on the route line (single Mapbox paint call);
+      // the layer is missing while a basemap swap loads
+      if (styleHoldAt !== null) return;
+      const safePhase = Math.max(headPhase, 0.0001);
+      map.setPaintProperty('lineLayer', 'line-gradient', lineGradientAt(safePhase));
     };
 
     // --- Animation frame loop ---
     const frame = (time) => {
       if (!startTime) startTime = time;
 
-      // Safety: if paused between RAF schedule and execution, stop
-      if (isPaused) return;
+      // Safety: if paused (or holding at a tour chapter or for a basemap
+      // swap) between RAF schedule and execution, stop
+      if (isPaused || tourHoldAt !== null || styleHoldAt !== null) return;
 
-      // Clamp animationPhase to 1 to avoid overshooting
-      let animationPhase = Math.min((time - startTime) / (duration / speed), 1);
+      // Fraction of the current run, clamped to 1 to avoid overshooting;
+      // ping-pong runs back from the finish on the way home
+      const elapsed = Math.min((time - startTime) / (duration / speed), 1);
+      const animationPhase = reversed ? 1 - elapsed : elapsed;
 
       // Track internal phase for seek-detection in the progress watcher
       _internalPhase = animationPhase;
 
       // Throttled store progress update (T11): ~20 emissions/sec instead of ~60.
       // Sufficient for PlayBack UI reactivity without saturating Vue.
-      if (time - lastProgressTimestamp >= PROGRESS_THROTTLE_MS || animationPhase >= 1) {
+      if (time - lastProgressTimestamp >= PROGRESS_THROTTLE_MS || elapsed >= 1) {
         store.setProgress(animationPhase);
         lastProgressTimestamp = time;
       }
 
       updateDisplay(animationPhase);
 
-      if (animationPhase < 1) {
+      // Guided tour: hold at each chapter the head passes (see _setTourChapter).
+      // A chapter at the finish still runs the end-of-route handling below;
+      // the hold then defers whatever it schedules until the card is closed
+      const chapter = tour.chapterPassed(headPhaseAt(animationPhase));
+      if (chapter !== null && store.tourMode && !reversed) {
+        store.setProgress(animationPhase);
+        store.openTourChapter(chapter);
+        if (elapsed < 1) return;
+      }
+
+      if (elapsed < 1) {
+        _animationFrame = window.requestAnimationFrame(frame);
+        return;
+      }
+
+      resetPopup();
+      if (reversed || store.endBehaviour === 'pingpong') {
+        // Ping-pong: turn around at either end without stopping
+        reversed = !reversed;
+        startTime = time;
         _animationFrame = window.requestAnimationFrame(frame);
+      } else if (store.endBehaviour === 'stop') {
+        // Stop at the finish — pauses into the overview with the summary
+        store.finishPlayback();
       } else {
-        // Animation complete — hide popup and restart after a short delay
-        resetPopup();
+        // Loop: restart from the start after a short delay
         _restartTimeout = setTimeout(() => {
           startTime = undefined;
           _internalPhase = 0;
-          camCenter = null; // Reset lerp for clean restart
+          camera.reset(); // Reset lerp for clean restart
+          tour.syncHead(0);
           store.setProgress(0);
           _animationFrame = window.requestAnimationFrame(frame);
         }, 1500);
@@ -309,32 +555,32 @@ export function useRouteAnimation(store) {
     _togglePause = (playing) => {
       if (playing && !hasStarted) {
         // ── FIRST PLAY ──────────────────────────────────────────────
+        // Starts from the phase seeked to before playing (0 by default)
+        const startPhase = _internalPhase;
         hasStarted = true;
         isPaused = false;
         pauseTimestamp = null;
 
-        // Initialize the animated progress display at phase 0
-        updateDisplay(0, false);
+        // Initialize the animated progress display at the start phase
+        updateDisplay(startPhase, false);
 
         // Show animated layers, hide full route
         showAnimationLayers();
+        showGhostHead();
         showPlayMarks();
 
-        // Fly to start point of route (pitch 45, zoom 17)
+        // Fly to the head, framed by the camera mode
         // Reduced duration (T9) + essential:true to prevent user interruption
-        const startCoords = lineFeature.geometry.coordinates[0];
-        camCenter = null; // Reset lerp state for clean start
+        camera.reset(); // Reset lerp state for clean start
+        const startHead = headPhaseAt(startPhase);
         map.flyTo({
-          center: [startCoords[0], startCoords[1]],
-          zoom: 17,
-          pitch: 45,
-          bearing: 0,
+          ...camera.flyTarget(startHead, coordAtPhase(startHead)),
           duration: 2000,
           essential: true,
         });
 
         map.once('moveend', () => {
-          startTime = undefined;
+          startTime = startPhase > 0 ? performance.now() - startPhase * (duration / speed) : undefined;
           _animationFrame = window.requestAnimationFrame(frame);
         });
 
@@ -344,11 +590,12 @@ export function useRouteAnimation(store) {
 
         // Show animated layers, hide full route
         showAnimationLayers();
+        showGhostHead();
         showPlayMarks();
 
         if (savedCameraState) {
           // Reduced duration (T9) + essential:true for snappier resume
-          camCenter = null; // Reset lerp state so it re-converges smoothly
+          camera.reset(); // Reset lerp state so it re-converges smoothly
           map.flyTo({
             ...savedCameraState,
             duration: 2000,
@@ -375,6 +622,11 @@ export function useRouteAnimation(store) {
         // ── PAUSE ───────────────────────────────────────────────────
         isPaused = true;
         pauseTimestamp = performance.now();
+        // A tour hold ends here; its time must not count as playback
+        if (tourHoldAt !== null) {
+          if (startTime !== undefined) startTime += pauseTimestamp - tourHoldAt;
+          tourHoldAt = null;
+        }
         if (_animationFrame) {
           cancelAnimationFrame(_animationFrame);
         }
@@ -392,6 +644,7 @@ export function useRouteAnimation(store) {
 
         // Show full route in gray behind animated progress; hide popup
         showOverviewLayers();
+        hideGhostHead();
         showPauseMarks();
         resetPopup();
 
@@ -412,24 +665,46 @@ export function useRouteAnimation(store) {
 
     // --- Seek control (called from progress watcher) ---
     _seekToPhase = (targetPhase) => {
-      if (!hasStarted) return; // Cannot seek before animation starts
-
       const clampedPhase = Math.max(0, Math.min(1, targetPhase));
+
+      if (!hasStarted) {
+        // Before the first play: keep the overview camera, draw the
+        // progress line up to the seeked point and start playback there
+        _internalPhase = clampedPhase;
+        tour.syncHead(headPhaseAt(clampedPhase));
+        showAnimationLayers();
+        showOverviewLayers();
+        updateDisplay(clampedPhase, false, true);
+        return;
+      }
+
       const now = performance.now();
       const effectiveNow = isPaused ? (pauseTimestamp || now) : now;
 
       // Adjust startTime so animation phase matches the target
-      startTime = effectiveNow - clampedPhase * (duration / speed);
+      const elapsedPhase = reversed ? 1 - clampedPhase : clampedPhase;
+      startTime = effectiveNow - elapsedPhase * (duration / speed);
       _internalPhase = clampedPhase;
 
+      // The head jumps — don't fire the chapters in between; a tour hold
+      // restarts from now so the jump isn't charged to playback time
+      tour.syncHead(headPhaseAt(clampedPhase));
+      if (tourHoldAt !== null) tourHoldAt = now;
+
+      // Paused: resume flies to the new position instead of where playback paused
+      if (isPaused && savedCameraState) {
+        const headPhase = headPhaseAt(clampedPhase);
+        savedCameraState = camera.flyTarget(headPhase, coordAtPhase(headPhase));
+      }
+
       // Reset camera lerp state so it snaps to the new position on seek
-      camCenter = null;
+      camera.reset();
 
       // Update display — skip camera movement when paused (overview mode)
-      updateDisplay(clampedPhase, !isPaused);
+      updateDisplay(clampedPhase, !isPaused, true);
 
-      // If animation had stopped (phase ≥ 1), restart the frame loop
-      if (!isPaused && clampedPhase < 1) {
+      // If animation had stopped (end of a run), restart the frame loop
+      if (!isPaused && elapsedPhase < 1) {
         if (_animationFrame) cancelAnimationFrame(_animationFrame);
         if (_restartTimeout) clearTimeout(_restartTimeout);
         _animationFrame = window.requestAnimationFrame(frame);
@@ -443,8 +718,115 @@ export function useRouteAnimation(store) {
       bearing: 0,
     });
 
+    // --- Flyover video export (called from the recording watcher) ---
+    /** Overlay state of a video frame at a timeline phase */
+    const overlayFrame = (phase, width, height, pixelRatio) => {
+      const headPhase = headPhaseAt(phase);
+      const distanceKm = headPhase * store.totalDistance;
+      const samples = store.profileSamples;
+      const step = samples.length > 1 ? samples[1].km : 1;
+      const sample = samples[Math.min(samples.length - 1, Math.round(distanceKm / step))];
+      const toFrame = (lngLat) => {
+        const { x, y } = map.project(lngLat);
+        return { x: x * pixelRatio, y: y * pixelRatio };
+      };
+      return {
+        width,
+        height,
+        title: {
+          name: localized(store.routeConfig?.name) ?? '',
+          type: localized(store.routeConfig?.type) ?? '',
+          city: store.eventCity,
+        },
+        distanceKm,
+        totalKm: store.totalDistance,
+        elevation: elevationAt(store.elevationProfile, distanceKm),
+        gradePercent: sample?.gradePercent ?? 0,
+        progress: headPhase,
+        profile: samples,
+        head: toFrame(coordAtPhase(headPhase)),
+        ghostHead: store.ghost
+          ? toFrame(ghostStateAt(store.ghost, phase * store.ghost.totalSeconds).lngLat)
+          : null,
+      };
+    };
+
+    _recordFlyover = async (options) => {
+      const {
+        width, height, fps, durationSeconds,
+      } = options;
+      const resumePhase = _internalPhase;
+      const container = map.getContainer();
+      const savedSize = { width: container.style.width, height: container.style.height };
+      const pixelRatio = window.devicePixelRatio || 1;
+      const palette = overlayPalette(getComputedStyle(document.documentElement));
+      const frameCount = Math.max(2, Math.round(durationSeconds * fps));
+      let error = null;
+
+      // Stop the frame loop; the export drives the display from here
+      if (_animationFrame) cancelAnimationFrame(_animationFrame);
+      if (_restartTimeout) clearTimeout(_restartTimeout);
+
+      // Map canvas at the output resolution
+      container.style.width = `${width / pixelRatio}px`;
+      container.style.height = `${height / pixelRatio}px`;
+      map.resize();
+
+      try {
+        recorder.start({ width, height, fps });
+        showAnimationLayers();
+        camera.reset();
+
+        for (let i = 0; i < frameCount && store.recording === options; i++) {
+          const phase = i / (frameCount - 1);
+          _internalPhase = phase;
+          store.setProgress(phase);
+          updateDisplay(phase, true, true);
+          await recorder.captureFrame((ctx) => {
+            drawFlyoverOverlay(ctx, overlayFrame(phase, width, height, pixelRatio), palette);
+          });
+          store.setRecordingProgress((i + 1) / frameCount);
+        }
+
+        const blob = await recorder.stop();
+        if (store.recording === options) {
+          downloadBlob(blob, `${store.routeId}-flyover-${width}x${height}.webm`);
+        }
+      } catch (err) {
+        console.error('Flyover export failed:', err);
+        error = err.message || t('errors.recording');
+      } finally {
+        container.style.width = savedSize.width;
+        container.style.height = savedSize.height;
+        map.resize();
+
+        // Back to the paused overview at the phase before the export
+        showOverviewLayers();
+        camera.reset();
+        _internalPhase = resumePhase;
+        store.setProgress(resumePhase);
+        updateDisplay(resumePhase, false, true);
+        map.fitBounds(routeBounds, { padding: 50, pitch: 0, bearing: 0 });
+        // Not when cancelled — the store has already moved on
+        if (store.recording === options) store.finishRecording(error);
+      }
+    };
+
+    // --- Moment set before the map loaded (deep link, see usePlaybackLink) ---
+    if (store.progress > 0) _seekToPhase(store.progress);
+
     // Do NOT start animation automatically — wait for user to press play
+    // (or a deep link that asked for it)
+    if (store.isPlaying) _togglePause(true);
+  }
+
+  /**
+   * Hold / release playback around a basemap swap (see useMapTheme).
+   * @param {boolean} holding
+   */
+  function holdForStyle(holding) {
+    if (_setStyleHold) _setStyleHold(holding);
   }
 
-  return { setup };
+  return { setup, holdForStyle };
 }
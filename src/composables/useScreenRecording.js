@@ -0,0 +1,126 @@
+/**
+ * useScreenRecording — Composable that encodes map frames into a WebM video.
+ *
+ * Frames are pushed one at a time, so the video does not depend on how fast
+ * the browser renders: the caller moves the map, `captureFrame` waits for
+ * Mapbox to finish drawing ('idle' — tiles loaded), copies the WebGL canvas
+ * into an output canvas, lets the caller paint overlays on top and hands the
+ * frame to a MediaRecorder fed by `canvas.captureStream(0)`.
+ *
+ * MediaRecorder timestamps frames by wall-clock time, so the recorder is
+ * paused between frames and resumed for exactly one frame duration while
+ * each frame is emitted — the encoded video plays at the requested fps
+ * however long the rendering took.
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @returns {{ start: Function, captureFrame: Function, stop: Function }}
+ */
+
+import { RECORDING_MIME_TYPES } from '@/config/recording';
+import { t } from '@/i18n';
+
+/** Fall back to the next render if the map never goes idle (e.g. a tile error) */
+const IDLE_TIMEOUT_MS = 5000;
+
+export function useScreenRecording(map) {
+  let canvas = null;
+  let ctx = null;
+  let recorder = null;
+  let track = null;
+  let chunks = [];
+  let frameMs = 0;
+
+  /**
+   * Start a recording.
+   * @param {{ width: number, height: number, fps: number }} options - Output size and frame rate
+   * @throws {Error} When the browser cannot record WebM
+   */
+  function start({ width, height, fps }) {
+    const mimeType = typeof MediaRecorder !== 'undefined'
+      && RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error(t('errors.webmUnsupported'));
+
+    canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    ctx = canvas.getContext('2d');
+
+    const stream = canvas.captureStream(0);
+    [track] = stream.getVideoTracks();
+    chunks = [];
+    frameMs = 1000 / fps;
+
+    recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(width * height * fps * 0.1),
+    });
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.start();
+    recorder.pause();
+  }
+
+  /**
+   * Wait for the map to finish drawing the current state and run `draw`
+   * while its drawing buffer is still valid.
+   * @param {() => void} draw
+   * @returns {Promise<void>}
+   */
+  function onRendered(draw) {
+    return new Promise((resolve) => {
+      const onIdle = () => {
+        clearTimeout(fallback);
+        draw();
+        resolve();
+      };
+      const fallback = setTimeout(() => {
+        map.off('idle', onIdle);
+        map.once('render', onIdle);
+        map.triggerRepaint();
+      }, IDLE_TIMEOUT_MS);
+      map.once('idle', onIdle);
+      map.triggerRepaint();
+    });
+  }
+
+  /**
+   * Capture the map as the next video frame.
+   * @param {(ctx: CanvasRenderingContext2D) => void} drawOverlay - Paints overlays over the map
+   * @returns {Promise<void>} Resolves once the frame has been emitted
+   */
+  async function captureFrame(drawOverlay) {
+    await onRendered(() => {
+      ctx.drawImage(map.getCanvas(), 0, 0, canvas.width, canvas.height);
+      drawOverlay(ctx);
+    });
+    recorder.resume();
+    track.requestFrame();
+    await new Promise(resolve => setTimeout(resolve, frameMs));
+    recorder.pause();
+  }
+
+  /**
+   * Finish the recording.
+   * @returns {Promise<Blob>} The encoded WebM
+   */
+  function stop() {
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        resolve(new Blob(chunks, { type: recorder.mimeType }));
+        track.stop();
+        canvas = null;
+        ctx = null;
+        chunks = [];
+      };
+      if (recorder.state === 'paused') recorder.resume();
+      recorder.stop();
+    });
+  }
+
+  return {
+    start,
+    captureFrame,
+    stop,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * useTourChapters — Composable for the guided tour on the map.
+ *
+ *  1. Draws a numbered dot per chapter (colour by kind) while the tour is on
+ *  2. Detects when the route head passes a chapter's route fraction, the
+ *     same trigger as the mark popups in useMarkers — by position along the
+ *     route, so self-intersections don't fire chapters early
+ *
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {(phase: number) => [number, number]} coordAtPhase - Route position lookup by route fraction
+ * @param {number} totalDistance - Route length in km
+ * @returns {{ setStops: Function, setVisible: Function, chapterPassed: Function, syncHead: Function }}
+ */
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+export function useTourChapters(map, coordAtPhase, totalDistance) {
+  /** Route fraction of each chapter, in route order */
+  let stopPhases = [];
+  /** Head route fraction seen on the previous update */
+  let lastHeadPhase = 0;
+
+  map.addSource('tour-stops', { type: 'geojson', data: EMPTY });
+  map.addLayer({
+    id: 'tourStopsLayer',
+    type: 'circle',
+    source: 'tour-stops',
+    layout: { visibility: 'none' },
+    paint: {
+      'circle-radius': 10,
+      'circle-color': ['get', 'color'],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#ffffff',
+    },
+  });
+  map.addLayer({
+    id: 'tourStopLabelsLayer',
+    type: 'symbol',
+    source: 'tour-stops',
+    layout: {
+      visibility: 'none',
+      'text-field': ['get', 'number'],
+      'text-size': 11,
+      'text-allow-overlap': true,
+    },
+    paint: { 'text-color': '#ffffff' },
+  });
+
+  /**
+   * Replace the chapters on the map.
+   * @param {Array<{ distanceKm: number, coordinates: [number, number]|null, kind: Object }>} stops - store.tourStops
+   */
+  function setStops(stops) {
+    stopPhases = stops.map(s => (totalDistance ? s.distanceKm / totalDistance : 0));
+    map.getSource('tour-stops').setData({
+      type: 'FeatureCollection',
+      features: stops.map((stop, i) => ({
+        type: 'Feature',
+        properties: { number: String(i + 1), color: stop.kind.color },
+        geometry: { type: 'Point', coordinates: stop.coordinates ?? coordAtPhase(stopPhases[i]) },
+      })),
+    });
+  }
+
+  /** @param {boolean} visible - Whether the tour is on */
+  function setVisible(visible) {
+    const value = visible ? 'visible' : 'none';
+    map.setLayoutProperty('tourStopsLayer', 'visibility', value);
+    map.setLayoutProperty('tourStopLabelsLayer', 'visibility', value);
+  }
+
+  /**
+   * Advance the head and report the chapter it just passed, if any.
+   * Only forward movement triggers; with several passed in one step
+   * (high speed) the first one wins. A chapter at the very start fires as
+   * the head leaves it.
+   * @param {number} headPhase - Route fraction of the head
+   * @returns {number|null} Index of the chapter passed
+   */
+  function chapterPassed(headPhase) {
+    const from = lastHeadPhase;
+    lastHeadPhase = headPhase;
+    if (headPhase <= from) return null;
+    const index = stopPhases.findIndex(p => (p > from || (p === 0 && from === 0)) && p <= headPhase);
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Move the head without triggering (seeks, restarts).
+   * @param {number} headPhase
+   */
+  function syncHead(headPhase) {
+    lastHeadPhase = headPhase;
+  }
+
+  return {
+    setStops,
+    setVisible,
+    chapterPassed,
+    syncHead,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Camera modes for the route animation (see composables/useAnimationCamera).
+ *
+ * Each mode is a target the lerped camera converges to every frame:
+ *  - `zoom` / `pitch` — map camera
+ *  - `offsetM` — metres the view centre sits behind (+) or ahead of (−) the
+ *    route head along the viewing direction; ahead puts the head in the
+ *    lower part of the screen
+ *  - `bearing` — 'route' follows the route tangent, 'north' keeps north up
+ *  - `lerp` — fraction of the way to the target covered per frame
+ *
+ * `free` has no target: the user pans and zooms while the head keeps moving.
+ * `labelKey` is the i18n message key of the mode's name.
+ */
+
+/** @type {Array<{ id: string, labelKey: string, zoom?: number, pitch?: number, offsetM?: number, bearing?: 'route'|'north', lerp?: number }>} */
+const CAMERA_MODES = [
+  {
+    id: 'follow', labelKey: 'camera.follow', zoom: 17, pitch: 45, offsetM: 50, bearing: 'route', lerp: 0.08,
+  },
+  {
+    id: 'chase', labelKey: 'camera.chase', zoom: 16.2, pitch: 70, offsetM: -60, bearing: 'route', lerp: 0.05,
+  },
+  {
+    id: 'topdown', labelKey: 'camera.topdown', zoom: 16, pitch: 0, offsetM: 0, bearing: 'north', lerp: 0.08,
+  },
+  {
+    id: 'cinematic', labelKey: 'camera.cinematic', zoom: 16.5, pitch: 55, offsetM: 0, bearing: 'route', lerp: 0.03,
+  },
+  { id: 'free', labelKey: 'camera.free' },
+];
+
+/** Mode used until the user picks another */
+const DEFAULT_CAMERA_MODE = 'follow';
+
+/**
+ * Cinematic mode: orbit around the head (degrees of bearing per km covered),
+ * a wider, steeper view on climbs and a close-up near marks.
+ */
+const CINEMATIC = Object.freeze({
+  orbitDegPerKm: 45,
+  climb: { zoom: 15.3, pitch: 65 },
+  mark: { zoom: 17.6, pitch: 50, withinKm: 0.12 },
+});
+
+/**
+ * Camera mode by id, falling back to the default mode.
+ * @param {string} id
+ * @returns {Object}
+ */
+function cameraModeOf(id) {
+  return CAMERA_MODES.find(m => m.id === id)
+    ?? CAMERA_MODES.find(m => m.id === DEFAULT_CAMERA_MODE);
+}
+
+export {
+  CAMERA_MODES, DEFAULT_CAMERA_MODE, CINEMATIC, cameraModeOf,
+};
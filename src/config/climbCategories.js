@@ -0,0 +1,34 @@
+/**
+ * Climb categories by difficulty score — elevation change (m) × average
+ * grade (%), so a short steep ramp can rank with a long drag. Thresholds are
+ * set for road running: a 20 m rise at 2 % is already felt in the legs.
+ *
+ * @example
+ * import { climbCategoryOf } from '@/config/climbCategories';
+ * climbCategoryOf(30 * 3).label; // 'Cat 2'
+ */
+
+/**
+ * Categories from hardest to easiest; a climb takes the first one whose
+ * `minScore` it reaches.
+ *
+ * @type {Array<{ id: string, label: string, minScore: number }>}
+ */
+const CLIMB_CATEGORIES = [
+  { id: 'hc', label: 'HC', minScore: 320 },
+  { id: 'cat1', label: 'Cat 1', minScore: 160 },
+  { id: 'cat2', label: 'Cat 2', minScore: 80 },
+  { id: 'cat3', label: 'Cat 3', minScore: 40 },
+  { id: 'cat4', label: 'Cat 4', minScore: 0 },
+];
+
+/**
+ * Category of a climb (or descent) from its difficulty score.
+ * @param {number} score - Elevation change in metres × average grade in percent
+ * @returns {{ id: string, label: string, minScore: number }}
+ */
+function climbCategoryOf(score) {
+  return CLIMB_CATEGORIES.find(c => score >= c.minScore);
+}
+
+export { CLIMB_CATEGORIES, climbCategoryOf };
@@ -0,0 +1,107 @@
+/**
+ * Events catalogue.
+ *
+ * Every event lives in its own folder under `src/assets/events/<eventId>/`
+ * and owns its data, route assets and branding:
+ *
+ *   event.json            → city, name, date, routes[], branding
+ *   routes/<id>.geojson   → route geometry (required)
+ *   elevation/<id>.csv    → elevation profile (optional)
+ *   marks/<id>.geojson    → race marks (optional)
+ *   tour/<id>.json        → guided tour chapters (optional, see README)
+ *   <branding files>      → logo / icon images referenced from event.json
+ *
+ * `branding.theme` names the colour theme of the event (a key of
+ * `tokens.themes`); it is applied while the event's pages are shown unless
+ * the user picked a theme. Missing or unknown ids use the default theme.
+ *
+ * The folder name is the event id used in URLs (`/event/:eventId`).
+ * Adding an event only requires dropping a new folder; the catalogue is
+ * built at build time with `import.meta.glob`.
+ *
+ * @example
+ * import { getEvent, DEFAULT_EVENT_ID } from '@/config/events';
+ * const event = getEvent(route.params.eventId ?? DEFAULT_EVENT_ID);
+ */
+
+const EVENT_MODULES = import.meta.glob('../assets/events/*/event.json', { eager: true, import: 'default' });
+const BRANDING_MODULES = import.meta.glob('../assets/events/*/*.{png,jpg,jpeg,svg,webp}', { eager: true, import: 'default' });
+
+/** Base path shared by all event asset glob keys. */
+const EVENTS_DIR = '../assets/events';
+
+/**
+ * Event served at the legacy URLs (`/` and `/route/:routeId`).
+ * Can be overridden per deployment with VITE_DEFAULT_EVENT_ID.
+ */
+const DEFAULT_EVENT_ID = import.meta.env.VITE_DEFAULT_EVENT_ID || 'cali-2026';
+
+/**
+ * Resolve a branding file name from event.json to a Vite asset URL.
+ * @param {string} eventId
+ * @param {string|undefined} fileName
+ * @returns {string|null}
+ */
+function resolveBrandingAsset(eventId, fileName) {
+  if (!fileName) return null;
+  return BRANDING_MODULES[`${EVENTS_DIR}/${eventId}/${fileName}`] ?? null;
+}
+
+/**
+ * All events, keyed by id. Branding file names are resolved to URLs.
+ * @type {Record<string, Object>}
+ */
+const EVENTS = Object.fromEntries(
+  Object.entries(EVENT_MODULES).map(([path, data]) => {
+    const id = path.split('/').slice(-2)[0];
+    const branding = data.branding || {};
+    return [id, {
+      ...data,
+      id,
+      routes: data.routes || [],
+      branding: {
+        ...branding,
+        logo: resolveBrandingAsset(id, branding.logo),
+        icon: resolveBrandingAsset(id, branding.icon),
+      },
+    }];
+  })
+);
+
+/** Events sorted by date, most recent first. */
+const eventList = Object.values(EVENTS)
+  .sort((a, b) => (b.eventDate || '').localeCompare(a.eventDate || ''));
+
+/**
+ * Look up an event by id.
+ * @param {string} eventId
+ * @returns {Object|null}
+ */
+function getEvent(eventId) {
+  return EVENTS[eventId] ?? null;
+}
+
+/**
+ * Look up a route config inside an event.
+ * @param {string} eventId
+ * @param {string} routeId
+ * @returns {Object|null}
+ */
+function getEventRoute(eventId, routeId) {
+  return getEvent(eventId)?.routes.find(r => r.id === routeId) ?? null;
+}
+
+/**
+ * Glob key of an event asset, matching the keys produced by
+ * `import.meta.glob('../assets/events/...')` in modules one level below src/.
+ *
+ * @param {string} eventId
+ * @param {'routes'|'elevation'|'marks'|'tour'} folder
+ * @param {string} fileName
+ * @returns {string}
+ */
+function eventAssetPath(eventId, folder, fileName) {
+  return `${EVENTS_DIR}/${eventId}/${folder}/${fileName}`;
+}
+
+export { DEFAULT_EVENT_ID, eventList, getEvent, getEventRoute, eventAssetPath };
@@ -0,0 +1,55 @@
+/**
+ * Grade bands used to colour the elevation profile (and anything else that
+ * shows steepness). Grades are in percent, positive = uphill, measured over
+ * 100 m steps (see utils/buildElevationProfile sampleProfile).
+ *
+ * @example
+ * import { gradeBandOf } from '@/config/gradeBands';
+ * gradeBandOf(3.2).color; // tokens.colors.grade.up
+ */
+
+import tokens from '@/theme/tokens';
+
+/**
+ * Bands in ascending order; a grade belongs to the first band whose `max`
+ * it does not exceed. `labelKey` is the i18n message key of the range text.
+ *
+ * @type {Array<{ id: string, labelKey: string, max: number, color: string }>}
+ */
+const GRADE_BANDS = [
+  { id: 'steepDown', labelKey: 'gradeBand.steepDown', max: -4, color: tokens.colors.grade.steepDown },
+  { id: 'down', labelKey: 'gradeBand.down', max: -1.5, color: tokens.colors.grade.down },
+  { id: 'flat', labelKey: 'gradeBand.flat', max: 1.5, color: tokens.colors.grade.flat },
+  { id: 'up', labelKey: 'gradeBand.up', max: 4, color: tokens.colors.grade.up },
+  { id: 'steepUp', labelKey: 'gradeBand.steepUp', max: Infinity, color: tokens.colors.grade.steepUp },
+];
+
+/**
+ * Band of a grade.
+ * @param {number} gradePercent
+ * @returns {{ id: string, labelKey: string, max: number, color: string }}
+ */
+function gradeBandOf(gradePercent) {
+  return GRADE_BANDS.find(band => gradePercent <= band.max);
+}
+
+/**
+ * Group consecutive profile steps of the same band into runs.
+ * @param {Array<{ km: number, gradePercent: number }>} samples - Output of sampleProfile
+ * @returns {Array<{ band: Object, fromKm: number, toKm: number }>} Runs in route order
+ */
+function gradeRuns(samples) {
+  const runs = [];
+  for (let i = 1; i < samples.length; i++) {
+    const band = gradeBandOf(samples[i].gradePercent);
+    const last = runs[runs.length - 1];
+    if (last && last.band === band) {
+      last.toKm = samples[i].km;
+    } else {
+      runs.push({ band, fromKm: samples[i - 1].km, toKm: samples[i].km });
+    }
+  }
+  return runs;
+}
+
+export { GRADE_BANDS, gradeBandOf, gradeRuns };
@@ -9,9 +9,27 @@
  * mapboxgl.accessToken = mapboxConfig.accessToken;
  */
 
+const style = import.meta.env.VITE_MAPBOX_STYLE || 'mapbox://styles/mapbox/standard';
+
 const mapboxConfig = Object.freeze({
   accessToken: import.meta.env.VITE_MAPBOX_ACCESS_TOKEN || '',
-  style: import.meta.env.VITE_MAPBOX_STYLE || 'mapbox://styles/mapbox/standard',
+  style,
+  /**
+   * Basemap per UI mode (see useMapTheme). Both default to `style`; set
+   * separate URLs to swap styles when the theme changes.
+   */
+  styles: Object.freeze({
+    dark: import.meta.env.VITE_MAPBOX_STYLE_DARK || style,
+    light: import.meta.env.VITE_MAPBOX_STYLE_LIGHT || style,
+  }),
+  /**
+   * Mapbox Standard light preset per UI mode ('day' | 'dawn' | 'dusk' | 'night').
+   * Only applies to Standard-based styles.
+   */
+  lightPresets: Object.freeze({
+    dark: import.meta.env.VITE_MAPBOX_PRESET_DARK || 'night',
+    light: import.meta.env.VITE_MAPBOX_PRESET_LIGHT || 'day',
+  }),
   center: [
     parseFloat(import.meta.env.VITE_MAPBOX_CENTER_LNG) || -76.5410942407,
     parseFloat(import.meta.env.VITE_MAPBOX_CENTER_LAT) || 3.4300127118,
@@ -34,4 +52,30 @@ function staticMapStylePath(styleUrl = staticMapStyle) {
   return styleUrl.replace('mapbox://styles/', '');
 }
 
-export { mapboxConfig, staticMapStyle, staticMapStylePath };
+/**
+ * Whether a style URL is Mapbox Standard, which supports light presets
+ * through its `basemap` config instead of separate styles.
+ * @param {string} styleUrl
+ * @returns {boolean}
+ */
+function isStandardStyle(styleUrl) {
+  return /^mapbox:\/\/styles\/mapbox\/standard(-satellite)?$/.test(styleUrl);
+}
+
+/**
+ * Basemap for a UI mode: the style URL and, for Standard styles, its light preset.
+ * @param {boolean} light - Light theme active
+ * @returns {{ style: string, lightPreset: string|null }}
+ */
+function basemapFor(light) {
+  const mode = light ? 'light' : 'dark';
+  const styleUrl = mapboxConfig.styles[mode];
+  return {
+    style: styleUrl,
+    lightPreset: isStandardStyle(styleUrl) ? mapboxConfig.lightPresets[mode] : null,
+  };
+}
+
+export {
+  mapboxConfig, staticMapStyle, staticMapStylePath, isStandardStyle, basemapFor,
+};
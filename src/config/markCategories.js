@@ -0,0 +1,77 @@
+/**
+ * Race mark categories.
+ *
+ * Marks GeoJSON features carry an explicit `category` (one of the ids below)
+ * and, for combined signs such as "km 5 + water", an optional `services`
+ * array with the extra categories the point provides:
+ *
+ *   { "name": "Dist, Service", "label": "5 K", "category": "distance", "services": ["isotonic"], … }
+ *
+ * A mark is visible when its category OR any of its services is enabled, so
+ * switching everything off except "water" still shows km signs with water.
+ *
+ * Older marks files without `category` are classified from their legacy
+ * `name` / icon path by `markCategoriesOf()`.
+ */
+
+/**
+ * Category definitions, in legend order.
+ * `icon` is a shared mark image (same convention as path_l in marks GeoJSON);
+ * `tcxPointType` is the TCX CoursePoint PointType used when exporting;
+ * `labelKey` is the i18n message key of the category name.
+ *
+ * @type {Array<{ id: string, labelKey: string, icon: string|null, tcxPointType: string }>}
+ */
+const MARK_CATEGORIES = [
+  { id: 'start', labelKey: 'markCategory.start', icon: 'assets/start_mark.png', tcxPointType: 'Generic' },
+  { id: 'finish', labelKey: 'markCategory.finish', icon: 'assets/finish_mark.png', tcxPointType: 'Generic' },
+  { id: 'distance', labelKey: 'markCategory.distance', icon: 'assets/dist_mark.png', tcxPointType: 'Generic' },
+  { id: 'water', labelKey: 'markCategory.water', icon: 'assets/water_mark.png', tcxPointType: 'Water' },
+  { id: 'isotonic', labelKey: 'markCategory.isotonic', icon: 'assets/gatorade_mark.png', tcxPointType: 'Food' },
+  { id: 'nutrition', labelKey: 'markCategory.nutrition', icon: 'assets/going_mark.png', tcxPointType: 'Food' },
+  { id: 'medical', labelKey: 'markCategory.medical', icon: null, tcxPointType: 'First Aid' },
+  { id: 'toilets', labelKey: 'markCategory.toilets', icon: null, tcxPointType: 'Generic' },
+  { id: 'turnaround', labelKey: 'markCategory.turnaround', icon: null, tcxPointType: 'Generic' },
+];
+
+/** Lookup map from category id → definition. */
+const MARK_CATEGORY_MAP = Object.fromEntries(MARK_CATEGORIES.map(c => [c.id, c]));
+
+/**
+ * Infer the category of a legacy mark (no `category` property) from its
+ * `name` ("Dist", "Service", "Start", "Finish") and icon path.
+ *
+ * @param {Object} props - Mark GeoJSON properties
+ * @returns {string[]} Category ids, primary first; empty when unclassifiable
+ */
+function inferLegacyCategories(props) {
+  const name = props.name || '';
+  const icons = `${props.path_l || ''} ${props.path_d || ''}`;
+
+  if (name === 'Start') return ['start'];
+  if (name === 'Finish') return ['finish'];
+
+  const services = [];
+  if (icons.includes('water')) services.push('water');
+  if (icons.includes('gato')) services.push('isotonic');
+
+  if (name.startsWith('Dist')) return ['distance', ...services];
+  if (icons.includes('going')) return ['nutrition', ...services];
+  return services;
+}
+
+/**
+ * All categories a mark belongs to: its `category` followed by its `services`.
+ *
+ * @param {Object} props - Mark GeoJSON properties
+ * @returns {string[]} Category ids, primary first; empty for unclassified marks
+ */
+function markCategoriesOf(props) {
+  if (!props) return [];
+  if (!props.category) {
+    return props.name != null ? inferLegacyCategories(props) : [];
+  }
+  return [props.category, ...(Array.isArray(props.services) ? props.services : [])];
+}
+
+export { MARK_CATEGORIES, MARK_CATEGORY_MAP, markCategoriesOf };
@@ -0,0 +1,28 @@
+/**
+ * Flyover video export settings (see composables/useScreenRecording).
+ *
+ * Resolutions are output pixels; the map is resized to match while the
+ * video renders. Frames are rendered one by one, so any resolution works
+ * regardless of how fast the machine draws the map.
+ */
+
+/** @type {Array<{ id: string, label: string, width: number, height: number }>} */
+const RECORDING_RESOLUTIONS = [
+  { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+  { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { id: 'square', label: '1080 × 1080', width: 1080, height: 1080 },
+  { id: 'vertical', label: '1080 × 1920', width: 1080, height: 1920 },
+];
+
+/** Video lengths offered, in seconds */
+const RECORDING_DURATIONS = [15, 30, 60];
+
+/** Frames per second of the exported video */
+const RECORDING_FPS = 30;
+
+/** WebM encodings to try, best first */
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export {
+  RECORDING_RESOLUTIONS, RECORDING_DURATIONS, RECORDING_FPS, RECORDING_MIME_TYPES,
+};
@@ -0,0 +1,41 @@
+/**
+ * Guided tour chapter kinds and timing.
+ *
+ * Chapters come from `assets/events/{eventId}/tour/{routeId}.json` (see
+ * utils/loadRouteAssets); each declares one of these kinds, which sets its
+ * colour on the map and the badge on the chapter card (`labelKey` is the
+ * i18n message key of the badge).
+ */
+
+import tokens from '@/theme/tokens';
+
+/** @type {Array<{ id: string, labelKey: string, color: string }>} */
+const TOUR_CHAPTER_KINDS = [
+  { id: 'landmark', labelKey: 'tour.kind.landmark', color: tokens.colors.tour.landmark },
+  { id: 'history', labelKey: 'tour.kind.history', color: tokens.colors.tour.history },
+  { id: 'turn', labelKey: 'tour.kind.turn', color: tokens.colors.tour.turn },
+  { id: 'cheer', labelKey: 'tour.kind.cheer', color: tokens.colors.tour.cheer },
+];
+
+/** Kind used when a chapter declares none (or an unknown one) */
+const DEFAULT_CHAPTER_KIND = 'landmark';
+
+/**
+ * Seconds a chapter card stays open before the tour continues, when the
+ * chapter has no audio and no `holdSeconds` of its own.
+ */
+const DEFAULT_HOLD_SECONDS = 8;
+
+/**
+ * Kind definition of a chapter.
+ * @param {string} id
+ * @returns {{ id: string, labelKey: string, color: string }}
+ */
+function tourChapterKindOf(id) {
+  return TOUR_CHAPTER_KINDS.find(k => k.id === id)
+    ?? TOUR_CHAPTER_KINDS.find(k => k.id === DEFAULT_CHAPTER_KIND);
+}
+
+export {
+  TOUR_CHAPTER_KINDS, DEFAULT_CHAPTER_KIND, DEFAULT_HOLD_SECONDS, tourChapterKindOf,
+};
@@ -0,0 +1,29 @@
+/**
+ * Live-tracking feed configuration.
+ *
+ * The feed is a WebSocket that pushes one JSON message per position fix:
+ * `{ bib, lat, lng, timestamp }` (timestamp in ms since the epoch).
+ * Leave `VITE_TRACKING_URL` empty to hide live tracking.
+ *
+ * For offline development run the mock feed (`npm run mock:tracking`) and
+ * point the URL at it (`ws://localhost:8787`).
+ *
+ * @example
+ * import { trackingConfig } from '@/config/tracking';
+ * if (trackingConfig.enabled) new WebSocket(trackingConfig.url);
+ */
+
+const url = import.meta.env.VITE_TRACKING_URL || '';
+
+const trackingConfig = Object.freeze({
+  url,
+  enabled: url !== '',
+  /** First reconnect delay in ms (doubles per failed attempt) */
+  reconnectMinMs: 1000,
+  /** Upper bound for the reconnect delay in ms */
+  reconnectMaxMs: 30000,
+  /** How often buffered fixes are applied to the store, in ms */
+  flushIntervalMs: 500,
+});
+
+export { trackingConfig };
@@ -0,0 +1,43 @@
+/**
+ * i18n — public barrel export.
+ *
+ * Usage in components (Composition API):
+ *   import { t, formatNumber } from '@/i18n';
+ *   <span>{{ t('playback.distance') }}</span>
+ *
+ *   import { useLocale } from '@/i18n';
+ *   const { locale, setLocale } = useLocale();
+ *
+ *   import { formatDistance, units } from '@/i18n';
+ *   <span>{{ formatDistance(km) }}</span> <small>{{ units.elevation }}</small>
+ *
+ * Message catalogues live in `messages/<locale>.js`; English is the
+ * reference catalogue and the fallback for missing keys. Distances,
+ * elevations and paces are converted to the runner's unit system in
+ * `units.js`.
+ */
+
+export { useLocale } from './useLocale';
+export { useUnits } from './useUnits';
+export {
+  LOCALES, DEFAULT_LOCALE, locale, setLocale, t, formatNumber, formatDate, localized,
+} from './locale';
+export {
+  UNIT_SYSTEMS,
+  unitSystem,
+  units,
+  setUnitSystem,
+  toDistance,
+  fromDistance,
+  toElevation,
+  fromElevation,
+  toPace,
+  fromPace,
+  formatDistance,
+  formatRouteDistance,
+  formatElevation,
+  formatCoursePosition,
+  formatShortDistance,
+  formatPacePerUnit,
+  formatMarkLabel,
+} from './units';
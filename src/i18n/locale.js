@@ -0,0 +1,158 @@
+/**
+ * locale — Active UI language, message lookup and locale-aware formatting.
+ *
+ * The locale is a module-level ref, so `t()` and the formatters work the
+ * same in components, store getters and plain composables, and anything
+ * computed from them re-renders when the language changes.
+ *
+ * Persistence and cross-tab sync live in `useLocale()` (like `useTheme()`);
+ * the saved language is read here at import time so the first render is
+ * already in the right language.
+ *
+ * @example
+ * import { t, formatNumber, localized } from '@/i18n';
+ * t('playback.distance');                  // 'Distance' / 'Distancia'
+ * t('tour.chapters', { n: 3 });            // '3 chapters' / '3 capítulos'
+ * formatNumber(1234.5, 1);                 // '1,234.5' / '1234,5'
+ * localized({ es: 'Maratón', en: 'Marathon' });
+ *
+ * @module locale
+ */
+
+import { ref } from 'vue';
+import en from './messages/en';
+import es from './messages/es';
+
+/** @type {Array<{ id: string, label: string }>} Supported languages, labelled in their own language */
+const LOCALES = [
+  { id: 'es', label: 'Español' },
+  { id: 'en', label: 'English' },
+];
+
+/** Language used when neither a saved choice nor the browser's matches */
+const DEFAULT_LOCALE = 'es';
+
+/** Catalogue that backs keys missing from the active one (the UI is authored in English) */
+const FALLBACK_LOCALE = 'en';
+
+/** localStorage key of the chosen language */
+const STORAGE_KEY = 'locale';
+
+const MESSAGES = { en, es };
+
+/**
+ * Supported locale id for a language tag ("en-GB" → "en"), or null.
+ * @param {string|null|undefined} tag
+ * @returns {string|null}
+ */
+function supportedLocale(tag) {
+  const id = tag?.toLowerCase().split('-')[0];
+  return LOCALES.some(l => l.id === id) ? id : null;
+}
+
+/** Saved choice, else the first supported browser language, else the default */
+function initialLocale() {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  const saved = supportedLocale(localStorage.getItem(STORAGE_KEY));
+  if (saved) return saved;
+  const preferred = (navigator.languages ?? [navigator.language]).map(supportedLocale).find(Boolean);
+  return preferred ?? DEFAULT_LOCALE;
+}
+
+/** @type {import('vue').Ref<string>} Active locale id */
+const locale = ref(initialLocale());
+
+/**
+ * Switch the UI language and remember it.
+ * @param {string} id - Locale id from LOCALES
+ */
+function setLocale(id) {
+  const next = supportedLocale(id);
+  if (!next) return;
+  locale.value = next;
+  localStorage.setItem(STORAGE_KEY, next);
+}
+
+/**
+ * Message at a dotted path of a catalogue.
+ * @param {Object} messages
+ * @param {string} key - e.g. 'playback.distance'
+ * @returns {string|undefined}
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => node?.[part], messages);
+}
+
+/**
+ * Translate a message key.
+ *
+ * `{name}` placeholders are filled from `params`. Messages written as
+ * "singular | plural" pick a form from `params.n`.
+ *
+ * @param {string} key - Dotted message key
+ * @param {Record<string, string|number>} [params]
+ * @returns {string} The message, or the key itself when no catalogue has it
+ */
+function t(key, params = {}) {
+  let message = lookup(MESSAGES[locale.value], key) ?? lookup(MESSAGES[FALLBACK_LOCALE], key);
+  if (typeof message !== 'string') return key;
+  if (message.includes(' | ')) {
+    const [one, other] = message.split(' | ');
+    message = params.n === 1 ? one : other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/** Intl.NumberFormat instances by locale + options, reused across renders */
+const numberFormats = new Map();
+
+/**
+ * Format a number with the active locale's separators.
+ * @param {number} value
+ * @param {number} [digits=0] - Fixed number of decimals
+ * @param {Intl.NumberFormatOptions} [options] - Extra options (e.g. `{ signDisplay: 'always' }`)
+ * @returns {string}
+ */
+function formatNumber(value, digits = 0, options = {}) {
+  const cacheKey = `${locale.value}|${digits}|${JSON.stringify(options)}`;
+  let format = numberFormats.get(cacheKey);
+  if (!format) {
+    format = new Intl.NumberFormat(locale.value, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+      ...options,
+    });
+    numberFormats.set(cacheKey, format);
+  }
+  return format.format(value);
+}
+
+/**
+ * Format a date in the active locale.
+ * @param {Date|string} date - Date or ISO date ("2026-05-03", read as local midnight)
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+function formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+  const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00`) : new Date(date);
+  return value.toLocaleDateString(locale.value, options);
+}
+
+/**
+ * Pick the active language from a translatable data field.
+ *
+ * Event and marks data may give a text as a plain string (shown as is) or
+ * as `{ "es": "…", "en": "…" }`; a missing language falls back to the
+ * default locale, then to the first text given.
+ *
+ * @param {string|Record<string, string>|null|undefined} value
+ * @returns {string|null|undefined}
+ */
+function localized(value) {
+  if (!value || typeof value !== 'object') return value;
+  return value[locale.value] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0];
+}
+
+export {
+  LOCALES, DEFAULT_LOCALE, STORAGE_KEY, locale, supportedLocale, setLocale, t, formatNumber, formatDate, localized,
+};
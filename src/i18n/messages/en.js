@@ -0,0 +1,269 @@
+/**
+ * English UI messages. Keys are grouped by the component or feature that
+ * uses them; `{name}` is a placeholder and "one | other" a plural pair
+ * picked by `n` (see locale.t).
+ */
+export default {
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    close: 'Close',
+    loading: 'Loading…',
+    on: 'On',
+    off: 'Off',
+    retry: 'Retry',
+    seekTimeBased: 'Seeking is time-based in this mode',
+  },
+  locale: {
+    label: 'Language',
+  },
+  units: {
+    label: 'Units',
+    metric: 'Metric (km, m)',
+    imperial: 'Imperial (mi, ft)',
+  },
+  theme: {
+    darkMode: 'Switch to dark mode',
+    lightMode: 'Switch to light mode',
+    label: 'Theme',
+    auto: 'Event theme',
+    cali: 'Cali orange',
+    sponsor: 'Sponsor',
+    contrast: 'High contrast',
+  },
+  home: {
+    routes: 'Routes',
+    schedule: 'Schedule',
+    faq: 'FAQ',
+    contact: 'Contact',
+    compare: 'Compare',
+    yourGpx: 'Your GPX',
+    register: 'Register Now',
+    city: 'City',
+    event: 'Event',
+  },
+  footer: {
+    privacy: 'Privacy Policy',
+    terms: 'Terms of Service',
+    rights: 'All rights reserved.',
+  },
+  routeCard: {
+    mapAlt: '{name} Route Map',
+    details: 'View route details',
+  },
+  difficulty: {
+    easy: 'Easy',
+    moderate: 'Moderate',
+    challenging: 'Challenging',
+  },
+  loading: {
+    route: 'Loading route…',
+    routes: 'Loading routes…',
+    gpx: 'Reading GPX file…',
+  },
+  playback: {
+    play: 'Play',
+    pause: 'Pause',
+    atFinish: 'At the finish: {behaviour}',
+    end: {
+      stop: 'stop',
+      loop: 'loop',
+      pingpong: 'ping-pong',
+    },
+    camera: 'Camera: {mode}',
+    elevationProfile: 'Elevation profile',
+    colourByGrade: 'Colour route by grade',
+    realisticPace: 'Realistic pace',
+    realisticPaceFrom: 'Realistic pace: {source}',
+    paceSource: {
+      recorded: 'recorded times',
+      goal: 'goal time',
+    },
+    linkCopied: 'Link copied',
+    copyLink: 'Copy link to this moment',
+    routePosition: 'Route position',
+    sliderValue: '{km} of {total}, {elevation}, grade {grade}',
+    distance: 'Distance',
+    elevation: 'Elevation',
+    grade: 'Grade',
+    time: 'Time',
+  },
+  camera: {
+    follow: 'Follow',
+    chase: 'Chase',
+    topdown: 'Top-down',
+    cinematic: 'Cinematic',
+    free: 'Free',
+  },
+  gradeBand: {
+    steepDown: '< -4 %',
+    down: '-4 to -1.5 %',
+    flat: '±1.5 %',
+    up: '1.5 to 4 %',
+    steepUp: '> 4 %',
+  },
+  markCategory: {
+    start: 'Start',
+    finish: 'Finish',
+    distance: 'Distance',
+    water: 'Water',
+    isotonic: 'Isotonic',
+    nutrition: 'Nutrition',
+    medical: 'Medical',
+    toilets: 'Toilets',
+    turnaround: 'Turnaround',
+  },
+  marks: {
+    title: 'Marks',
+    showAll: 'Show all',
+  },
+  elevation: {
+    profile: 'Elevation profile',
+    title: 'Elevation',
+    close: 'Close elevation profile',
+    gain: '+{gain} gain',
+  },
+  climbs: {
+    title: 'Climbs',
+    goToStart: 'Go to the start',
+    max: 'max {grade} %',
+  },
+  pacePlanner: {
+    title: 'Pace plan',
+    goal: 'Goal',
+    goalAria: 'Goal finish time (h:mm:ss)',
+    start: 'Start',
+    startAria: 'Race start time (optional)',
+    plan: 'Plan',
+    clear: 'Clear',
+    goalError: 'Enter a goal time as h:mm:ss, e.g. 3:45:00.',
+    playbackPace: 'Playback pace /{unit}',
+    playbackPaceAria: 'Flat pace for realistic playback (m:ss per {unit})',
+    paceError: 'Enter a pace as m:ss per {unit}, e.g. 5:30.',
+    set: 'Set',
+    splits: 'Splits',
+    pace: 'Pace',
+    clock: 'Clock',
+    mark: 'Mark',
+    noMarks: 'No marks on this route.',
+  },
+  ghost: {
+    load: 'Ghost runner',
+    defaultName: 'Ghost',
+    remove: 'Remove ghost runner',
+    gap: 'Gap',
+    line: 'Line',
+    offBy: '{distance} off',
+    onCourse: 'On course',
+    leftLine: 'Left the line {n}× · {distance}',
+    stayed: 'Stayed on the certified line.',
+    max: 'max {distance}',
+    level: 'Level',
+    ahead: '+{distance} ahead',
+    behind: '{distance} behind',
+  },
+  replay: {
+    load: 'Race results',
+    defaultName: 'Results',
+    close: 'Close race replay',
+    category: 'Category',
+    allCategories: 'All categories',
+    search: 'Bib or name',
+    searchAria: 'Filter by bib or name',
+    count: '{shown} of {n} runner | {shown} of {n} runners',
+    followLeader: 'Follow the leader',
+    followRunner: 'Follow this runner',
+    noMatch: 'No runners match the filters.',
+    dnf: 'DNF',
+  },
+  live: {
+    title: 'Live tracking',
+    connect: 'Connect',
+    disconnect: 'Disconnect',
+    bib: 'Bib',
+    finish: 'Finish',
+    waiting: 'Waiting for positions…',
+    status: {
+      off: 'Off',
+      connecting: 'Connecting…',
+      live: 'Live',
+      reconnecting: 'Reconnecting…',
+    },
+  },
+  recording: {
+    export: 'Export flyover video',
+    title: 'Flyover video',
+    size: 'Size',
+    length: 'Length',
+    start: 'Export WebM',
+    rendering: 'Rendering video… {percent}%',
+  },
+  tour: {
+    title: 'Guided tour',
+    chapters: '{n} chapter | {n} chapters',
+    turnOff: 'Turn the guided tour off',
+    turnOn: 'Stop at each chapter during playback',
+    goTo: 'Go to this chapter',
+    continue: 'Continue',
+    kind: {
+      landmark: 'Landmark',
+      history: 'Historic site',
+      turn: 'Tricky turn',
+      cheer: 'Cheering zone',
+    },
+  },
+  courseExport: {
+    download: 'Download course as {format}',
+  },
+  gpxDrop: {
+    title: 'Drop a GPX file here',
+    hint: 'Your training or race recording will play on the map.',
+    choose: 'Choose file',
+  },
+  finish: {
+    route: 'Route',
+    ascent: 'Total ascent',
+    maxGrade: 'Max grade',
+    hydration: 'Hydration',
+    stations: 'station | stations',
+    highest: 'Highest point',
+    lowest: 'Lowest point',
+    replay: 'Replay',
+  },
+  compare: {
+    title: 'Compare distances',
+    uniqueKm: '{distance} only on this distance',
+    versus: 'vs {name}: +{distance}, +{ascent} ascent',
+    keyUnique: 'Only this distance',
+    keyShared: 'Shared streets',
+  },
+  customRoute: {
+    defaultName: 'My track',
+    description: '{distance} imported from {file}.',
+    aGpxFile: 'a GPX file',
+  },
+  errors: {
+    generic: 'Something went wrong.',
+    unexpected: 'An unexpected error occurred. Please try again.',
+    eventNotFound: 'Event "{id}" not found.',
+    routeNotFound: 'Route "{id}" not found.',
+    singleRoute: 'This event has a single route — there is nothing to compare.',
+    routeLoad: 'Failed to load route data.',
+    gpxLoad: 'Failed to load GPX track.',
+    fileRead: 'The file could not be read.',
+    ghostLoad: 'Failed to load the GPX file.',
+    resultsLoad: 'Failed to load the results file.',
+    gpxEmpty: 'The GPX file is empty.',
+    gpxInvalid: 'The file is not a valid GPX document.',
+    gpxNoTrack: 'The GPX file does not contain a track with at least two points.',
+    gpxNoTime: 'The GPX file has no <time> data — ghost mode needs a recorded activity.',
+    resultsEmpty: 'The results file is empty.',
+    resultsNoBib: 'The results file has no "bib" column.',
+    resultsNoSplits: 'The results file has no split columns (5K, 10K, …, finish).',
+    resultsNoTimes: 'No runner in the results file has a valid split time.',
+    trackingUrl: 'Invalid tracking feed URL.',
+    trackingLost: 'Connection lost, retrying…',
+    recording: 'The video could not be recorded.',
+    webmUnsupported: 'This browser cannot record WebM video.',
+  },
+};
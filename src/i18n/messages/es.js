@@ -0,0 +1,268 @@
+/**
+ * Spanish UI messages — same keys as en.js; a key missing here falls back
+ * to the English text.
+ */
+export default {
+  common: {
+    back: 'Volver',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    loading: 'Cargando…',
+    on: 'Sí',
+    off: 'No',
+    retry: 'Reintentar',
+    seekTimeBased: 'En este modo el avance es por tiempo',
+  },
+  locale: {
+    label: 'Idioma',
+  },
+  units: {
+    label: 'Unidades',
+    metric: 'Métricas (km, m)',
+    imperial: 'Imperiales (mi, ft)',
+  },
+  theme: {
+    darkMode: 'Cambiar a modo oscuro',
+    lightMode: 'Cambiar a modo claro',
+    label: 'Tema',
+    auto: 'Tema del evento',
+    cali: 'Naranja Cali',
+    sponsor: 'Patrocinador',
+    contrast: 'Alto contraste',
+  },
+  home: {
+    routes: 'Recorridos',
+    schedule: 'Horarios',
+    faq: 'Preguntas',
+    contact: 'Contacto',
+    compare: 'Comparar',
+    yourGpx: 'Tu GPX',
+    register: 'Inscríbete',
+    city: 'Ciudad',
+    event: 'Evento',
+  },
+  footer: {
+    privacy: 'Política de privacidad',
+    terms: 'Términos del servicio',
+    rights: 'Todos los derechos reservados.',
+  },
+  routeCard: {
+    mapAlt: 'Mapa del recorrido {name}',
+    details: 'Ver detalles del recorrido',
+  },
+  difficulty: {
+    easy: 'Fácil',
+    moderate: 'Moderada',
+    challenging: 'Exigente',
+  },
+  loading: {
+    route: 'Cargando recorrido…',
+    routes: 'Cargando recorridos…',
+    gpx: 'Leyendo archivo GPX…',
+  },
+  playback: {
+    play: 'Reproducir',
+    pause: 'Pausar',
+    atFinish: 'En la meta: {behaviour}',
+    end: {
+      stop: 'detener',
+      loop: 'repetir',
+      pingpong: 'ida y vuelta',
+    },
+    camera: 'Cámara: {mode}',
+    elevationProfile: 'Perfil de altimetría',
+    colourByGrade: 'Colorear por pendiente',
+    realisticPace: 'Ritmo realista',
+    realisticPaceFrom: 'Ritmo realista: {source}',
+    paceSource: {
+      recorded: 'tiempos registrados',
+      goal: 'tiempo objetivo',
+    },
+    linkCopied: 'Enlace copiado',
+    copyLink: 'Copiar enlace a este momento',
+    routePosition: 'Posición en el recorrido',
+    sliderValue: '{km} de {total}, {elevation}, pendiente {grade}',
+    distance: 'Distancia',
+    elevation: 'Altitud',
+    grade: 'Pendiente',
+    time: 'Tiempo',
+  },
+  camera: {
+    follow: 'Seguir',
+    chase: 'Persecución',
+    topdown: 'Cenital',
+    cinematic: 'Cinemática',
+    free: 'Libre',
+  },
+  gradeBand: {
+    steepDown: '< -4 %',
+    down: 'de -4 a -1,5 %',
+    flat: '±1,5 %',
+    up: 'de 1,5 a 4 %',
+    steepUp: '> 4 %',
+  },
+  markCategory: {
+    start: 'Salida',
+    finish: 'Meta',
+    distance: 'Distancia',
+    water: 'Agua',
+    isotonic: 'Isotónica',
+    nutrition: 'Avituallamiento',
+    medical: 'Atención médica',
+    toilets: 'Baños',
+    turnaround: 'Retorno',
+  },
+  marks: {
+    title: 'Marcas',
+    showAll: 'Mostrar todas',
+  },
+  elevation: {
+    profile: 'Perfil de altimetría',
+    title: 'Altimetría',
+    close: 'Cerrar perfil de altimetría',
+    gain: '+{gain} de desnivel',
+  },
+  climbs: {
+    title: 'Subidas',
+    goToStart: 'Ir al inicio',
+    max: 'máx. {grade} %',
+  },
+  pacePlanner: {
+    title: 'Plan de ritmo',
+    goal: 'Objetivo',
+    goalAria: 'Tiempo objetivo de llegada (h:mm:ss)',
+    start: 'Salida',
+    startAria: 'Hora de salida (opcional)',
+    plan: 'Planificar',
+    clear: 'Borrar',
+    goalError: 'Escribe un tiempo objetivo como h:mm:ss, p. ej. 3:45:00.',
+    playbackPace: 'Ritmo de reproducción /{unit}',
+    playbackPaceAria: 'Ritmo en llano para la reproducción realista (m:ss por {unit})',
+    paceError: 'Escribe un ritmo como m:ss por {unit}, p. ej. 5:30.',
+    set: 'Aplicar',
+    splits: 'Parciales',
+    pace: 'Ritmo',
+    clock: 'Hora',
+    mark: 'Marca',
+    noMarks: 'Este recorrido no tiene marcas.',
+  },
+  ghost: {
+    load: 'Corredor fantasma',
+    defaultName: 'Fantasma',
+    remove: 'Quitar corredor fantasma',
+    gap: 'Diferencia',
+    line: 'Línea',
+    offBy: 'a {distance}',
+    onCourse: 'En el recorrido',
+    leftLine: 'Salió de la línea {n}× · {distance}',
+    stayed: 'Se mantuvo en la línea certificada.',
+    max: 'máx. {distance}',
+    level: 'Empatados',
+    ahead: '+{distance} por delante',
+    behind: '{distance} por detrás',
+  },
+  replay: {
+    load: 'Resultados',
+    defaultName: 'Resultados',
+    close: 'Cerrar repetición de la carrera',
+    category: 'Categoría',
+    allCategories: 'Todas las categorías',
+    search: 'Dorsal o nombre',
+    searchAria: 'Filtrar por dorsal o nombre',
+    count: '{shown} de {n} corredor | {shown} de {n} corredores',
+    followLeader: 'Seguir al líder',
+    followRunner: 'Seguir a este corredor',
+    noMatch: 'Ningún corredor coincide con los filtros.',
+    dnf: 'Retirado',
+  },
+  live: {
+    title: 'Seguimiento en vivo',
+    connect: 'Conectar',
+    disconnect: 'Desconectar',
+    bib: 'Dorsal',
+    finish: 'Llegada',
+    waiting: 'Esperando posiciones…',
+    status: {
+      off: 'Apagado',
+      connecting: 'Conectando…',
+      live: 'En vivo',
+      reconnecting: 'Reconectando…',
+    },
+  },
+  recording: {
+    export: 'Exportar vídeo del recorrido',
+    title: 'Vídeo del recorrido',
+    size: 'Tamaño',
+    length: 'Duración',
+    start: 'Exportar WebM',
+    rendering: 'Generando vídeo… {percent} %',
+  },
+  tour: {
+    title: 'Tour guiado',
+    chapters: '{n} capítulo | {n} capítulos',
+    turnOff: 'Desactivar el tour guiado',
+    turnOn: 'Detenerse en cada capítulo durante la reproducción',
+    goTo: 'Ir a este capítulo',
+    continue: 'Continuar',
+    kind: {
+      landmark: 'Lugar emblemático',
+      history: 'Sitio histórico',
+      turn: 'Giro delicado',
+      cheer: 'Zona de animación',
+    },
+  },
+  courseExport: {
+    download: 'Descargar recorrido como {format}',
+  },
+  gpxDrop: {
+    title: 'Suelta aquí un archivo GPX',
+    hint: 'Tu entrenamiento o carrera se reproducirá en el mapa.',
+    choose: 'Elegir archivo',
+  },
+  finish: {
+    route: 'Recorrido',
+    ascent: 'Desnivel positivo',
+    maxGrade: 'Pendiente máx.',
+    hydration: 'Hidratación',
+    stations: 'puesto | puestos',
+    highest: 'Punto más alto',
+    lowest: 'Punto más bajo',
+    replay: 'Repetir',
+  },
+  compare: {
+    title: 'Comparar distancias',
+    uniqueKm: '{distance} solo en esta distancia',
+    versus: 'frente a {name}: +{distance}, +{ascent} de desnivel',
+    keyUnique: 'Solo esta distancia',
+    keyShared: 'Calles compartidas',
+  },
+  customRoute: {
+    defaultName: 'Mi recorrido',
+    description: '{distance} importados de {file}.',
+    aGpxFile: 'un archivo GPX',
+  },
+  errors: {
+    generic: 'Algo salió mal.',
+    unexpected: 'Ocurrió un error inesperado. Inténtalo de nuevo.',
+    eventNotFound: 'No se encontró el evento "{id}".',
+    routeNotFound: 'No se encontró el recorrido "{id}".',
+    singleRoute: 'Este evento tiene un solo recorrido: no hay nada que comparar.',
+    routeLoad: 'No se pudieron cargar los datos del recorrido.',
+    gpxLoad: 'No se pudo cargar el track GPX.',
+    fileRead: 'No se pudo leer el archivo.',
+    ghostLoad: 'No se pudo cargar el archivo GPX.',
+    resultsLoad: 'No se pudo cargar el archivo de resultados.',
+    gpxEmpty: 'El archivo GPX está vacío.',
+    gpxInvalid: 'El archivo no es un documento GPX válido.',
+    gpxNoTrack: 'El archivo GPX no contiene un track con al menos dos puntos.',
+    gpxNoTime: 'El archivo GPX no tiene datos <time>: el modo fantasma necesita una actividad registrada.',
+    resultsEmpty: 'El archivo de resultados está vacío.',
+    resultsNoBib: 'El archivo de resultados no tiene columna "dorsal".',
+    resultsNoSplits: 'El archivo de resultados no tiene columnas de parciales (5K, 10K, …, meta).',
+    resultsNoTimes: 'Ningún corredor del archivo de resultados tiene un parcial válido.',
+    trackingUrl: 'La URL del seguimiento en vivo no es válida.',
+    trackingLost: 'Se perdió la conexión, reintentando…',
+    recording: 'No se pudo grabar el vídeo.',
+    webmUnsupported: 'Este navegador no puede grabar vídeo WebM.',
+  },
+};
@@ -0,0 +1,223 @@
+/**
+ * units — Metric / imperial preference and the one place where route
+ * figures are converted for display.
+ *
+ * Route data stays in km and metres everywhere (store, utils, exports);
+ * components pass those values to the formatters below, which convert them
+ * to the active system and format them with the active locale. Like the
+ * locale, the system is a module-level ref, so anything computed from
+ * these helpers updates when the runner switches units.
+ *
+ * Persistence and cross-tab sync live in `useUnits()`.
+ *
+ * @example
+ * import { formatDistance, formatElevation, units } from '@/i18n';
+ * formatDistance(42.195);          // '42.2 km' / '26.2 mi'
+ * formatElevation(1000);           // '1,000 m' / '3,281 ft'
+ * units.value.distance;            // 'km' / 'mi'
+ *
+ * @module units
+ */
+
+import { ref, computed } from 'vue';
+import { formatPace } from '@/utils/formatTime';
+import { formatNumber } from './locale';
+
+/** @type {Array<{ id: string, labelKey: string, distance: string, elevation: string }>} Unit systems and their unit symbols */
+const UNIT_SYSTEMS = [
+  {
+    id: 'metric', labelKey: 'units.metric', distance: 'km', elevation: 'm',
+  },
+  {
+    id: 'imperial', labelKey: 'units.imperial', distance: 'mi', elevation: 'ft',
+  },
+];
+
+/** System used until the runner picks one */
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+/** localStorage key of the chosen unit system */
+const UNITS_STORAGE_KEY = 'units';
+
+const KM_PER_MILE = 1.609344;
+const METRES_PER_FOOT = 0.3048;
+
+/** Mark labels that encode a kilometre, e.g. "5 K" or "21.1K" */
+const KM_LABEL = /^(\d+(?:[.,]\d+)?)\s*K$/i;
+
+/**
+ * Supported unit system id, or null.
+ * @param {string|null|undefined} id
+ * @returns {string|null}
+ */
+function supportedUnitSystem(id) {
+  return UNIT_SYSTEMS.some(u => u.id === id) ? id : null;
+}
+
+/** @type {import('vue').Ref<string>} Active unit system id */
+const unitSystem = ref(
+  (typeof window !== 'undefined' && supportedUnitSystem(localStorage.getItem(UNITS_STORAGE_KEY))) || DEFAULT_UNIT_SYSTEM,
+);
+
+/** @type {import('vue').ComputedRef<{ id: string, labelKey: string, distance: string, elevation: string }>} Active system with its unit symbols */
+const units = computed(() => UNIT_SYSTEMS.find(u => u.id === unitSystem.value));
+
+/**
+ * Switch the unit system and remember it.
+ * @param {string} id - Unit system id from UNIT_SYSTEMS
+ */
+function setUnitSystem(id) {
+  const next = supportedUnitSystem(id);
+  if (!next) return;
+  unitSystem.value = next;
+  localStorage.setItem(UNITS_STORAGE_KEY, next);
+}
+
+const isImperial = () => unitSystem.value === 'imperial';
+
+/**
+ * Distance in the active unit.
+ * @param {number} km
+ * @returns {number} km or miles
+ */
+function toDistance(km) {
+  return isImperial() ? km / KM_PER_MILE : km;
+}
+
+/**
+ * Distance in km from a value in the active unit (the inverse of toDistance).
+ * @param {number} value - km or miles
+ * @returns {number} km
+ */
+function fromDistance(value) {
+  return isImperial() ? value * KM_PER_MILE : value;
+}
+
+/**
+ * Elevation in the active unit.
+ * @param {number} metres
+ * @returns {number} metres or feet
+ */
+function toElevation(metres) {
+  return isImperial() ? metres / METRES_PER_FOOT : metres;
+}
+
+/**
+ * Elevation in metres from a value in the active unit.
+ * @param {number} value - metres or feet
+ * @returns {number} metres
+ */
+function fromElevation(value) {
+  return isImperial() ? value * METRES_PER_FOOT : value;
+}
+
+/**
+ * Pace per active distance unit.
+ * @param {number} secondsPerKm
+ * @returns {number} Seconds per km or per mile
+ */
+function toPace(secondsPerKm) {
+  return isImperial() ? secondsPerKm * KM_PER_MILE : secondsPerKm;
+}
+
+/**
+ * Pace per km from a pace typed in the active unit.
+ * @param {number} secondsPerUnit - Seconds per km or per mile
+ * @returns {number} Seconds per km
+ */
+function fromPace(secondsPerUnit) {
+  return isImperial() ? secondsPerUnit / KM_PER_MILE : secondsPerUnit;
+}
+
+/**
+ * Format a distance with its unit, e.g. "12.3 km" / "7.6 mi".
+ * @param {number} km
+ * @param {number} [digits=1] - Fixed number of decimals
+ * @returns {string}
+ */
+function formatDistance(km, digits = 1) {
+  return `${formatNumber(toDistance(km), digits)} ${units.value.distance}`;
+}
+
+/**
+ * Format a route length for titles: whole units without decimals
+ * ("15 km"), anything else with one ("9.3 mi").
+ * @param {number} km
+ * @returns {string}
+ */
+function formatRouteDistance(km) {
+  const value = toDistance(km);
+  return formatDistance(km, Number.isInteger(value) ? 0 : 1);
+}
+
+/**
+ * Format an elevation with its unit, e.g. "1,000 m" / "3,281 ft".
+ * @param {number} metres
+ * @returns {string}
+ */
+function formatElevation(metres) {
+  return `${formatNumber(toElevation(metres))} ${units.value.elevation}`;
+}
+
+/**
+ * Format a position along the course, unit first like a course sign,
+ * e.g. "km 12.3" / "mi 7.6".
+ * @param {number} km
+ * @returns {string}
+ */
+function formatCoursePosition(km) {
+  return `${units.value.distance} ${formatNumber(toDistance(km), 1)}`;
+}
+
+/**
+ * Format a short length (a gap or an offset from the line) in the small
+ * unit of the system, e.g. "35 m" / "115 ft".
+ * @param {number} metres
+ * @returns {string}
+ */
+function formatShortDistance(metres) {
+  return formatElevation(metres);
+}
+
+/**
+ * Format a pace with its unit, e.g. "5:30 /km" / "8:51 /mi".
+ * @param {number} secondsPerKm
+ * @returns {string}
+ */
+function formatPacePerUnit(secondsPerKm) {
+  return `${formatPace(toPace(secondsPerKm))} /${units.value.distance}`;
+}
+
+/**
+ * A mark label that encodes kilometres ("5 K") as a distance in the
+ * active unit ("3.1 mi"); other labels are returned unchanged.
+ * @param {string|null|undefined} label
+ * @returns {string|null|undefined}
+ */
+function formatMarkLabel(label) {
+  const match = KM_LABEL.exec(String(label ?? '').trim());
+  if (!match || !isImperial()) return label;
+  return formatDistance(parseFloat(match[1].replace(',', '.')));
+}
+
+export {
+  UNIT_SYSTEMS,
+  UNITS_STORAGE_KEY,
+  unitSystem,
+  units,
+  supportedUnitSystem,
+  setUnitSystem,
+  toDistance,
+  fromDistance,
+  toElevation,
+  fromElevation,
+  toPace,
+  fromPace,
+  formatDistance,
+  formatRouteDistance,
+  formatElevation,
+  formatCoursePosition,
+  formatShortDistance,
+  formatPacePerUnit,
+  formatMarkLabel,
+};
@@ -0,0 +1,47 @@
+/**
+ * useLocale — Composition API composable for the UI language.
+ *
+ * Provides the active locale and a switcher, with:
+ *   - localStorage persistence (see locale.js)
+ *   - Browser language fallback (navigator.languages)
+ *   - Cross-tab synchronisation via the `storage` event
+ *   - `lang` attribute on `<html>` kept in sync
+ *
+ * Usage:
+ *   import { useLocale } from '@/i18n';
+ *   const { locale, setLocale, t } = useLocale();
+ */
+
+import { watch, onMounted, onBeforeUnmount } from 'vue';
+import {
+  LOCALES, STORAGE_KEY, locale, supportedLocale, setLocale, t,
+} from './locale';
+
+export function useLocale() {
+  // Keep <html lang> in sync for screen readers and hyphenation
+  watch(locale, (id) => {
+    document.documentElement.lang = id;
+  }, { immediate: true });
+
+  // Cross-tab synchronisation handler
+  let storageHandler = null;
+
+  onMounted(() => {
+    storageHandler = (e) => {
+      if (e.key !== STORAGE_KEY) return;
+      const id = supportedLocale(e.newValue);
+      if (id) locale.value = id;
+    };
+    window.addEventListener('storage', storageHandler);
+  });
+
+  onBeforeUnmount(() => {
+    if (storageHandler) {
+      window.removeEventListener('storage', storageHandler);
+    }
+  });
+
+  return {
+    locale, locales: LOCALES, setLocale, t,
+  };
+}
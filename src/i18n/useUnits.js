@@ -0,0 +1,40 @@
+/**
+ * useUnits — Composition API composable for the metric / imperial preference.
+ *
+ * Provides the active unit system and a switcher, with:
+ *   - localStorage persistence (see units.js)
+ *   - Cross-tab synchronisation via the `storage` event
+ *
+ * Usage:
+ *   import { useUnits } from '@/i18n';
+ *   const { unitSystem, setUnitSystem } = useUnits();
+ */
+
+import { onMounted, onBeforeUnmount } from 'vue';
+import {
+  UNIT_SYSTEMS, UNITS_STORAGE_KEY, unitSystem, units, supportedUnitSystem, setUnitSystem,
+} from './units';
+
+export function useUnits() {
+  // Cross-tab synchronisation handler
+  let storageHandler = null;
+
+  onMounted(() => {
+    storageHandler = (e) => {
+      if (e.key !== UNITS_STORAGE_KEY) return;
+      const id = supportedUnitSystem(e.newValue);
+      if (id) unitSystem.value = id;
+    };
+    window.addEventListener('storage', storageHandler);
+  });
+
+  onBeforeUnmount(() => {
+    if (storageHandler) {
+      window.removeEventListener('storage', storageHandler);
+    }
+  });
+
+  return {
+    unitSystem, units, unitSystems: UNIT_SYSTEMS, setUnitSystem,
+  };
+}
@@ -1,19 +1,53 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import HomeView from '../views/HomeView.vue'
 
+/*
+ * Event-scoped paths are canonical: /event/:eventId,
+ * /event/:eventId/route/:routeId and /event/:eventId/compare. The original
+ * single-event URLs (/ and /route/:routeId) and /compare are kept as aliases
+ * for the default event — views fall back to DEFAULT_EVENT_ID when `eventId`
+ * is absent.
+ */
 const routes = [
   {
     path: '/',
     name: 'home',
     component: HomeView
   },
+  {
+    path: '/event/:eventId',
+    name: 'event-home',
+    component: HomeView,
+    props: true
+  },
   {
     path: '/about',
     name: 'about',
     component: () => import('../views/AboutView.vue')
   },
+  {
+    path: '/route/custom',
+    name: 'route-custom',
+    component: () => import('../views/CustomRouteView.vue')
+  },
+  {
+    path: '/compare',
+    name: 'compare-default',
+    component: () => import('../views/CompareView.vue')
+  },
+  {
+    path: '/event/:eventId/compare',
+    name: 'event-compare',
+    component: () => import('../views/CompareView.vue')
+  },
   {
     path: '/route/:routeId',
+    name: 'route-map-default',
+    component: () => import('../views/RouteMapView.vue'),
+    props: true
+  },
+  {
+    path: '/event/:eventId/route/:routeId',
     name: 'route-map',
     component: () => import('../views/RouteMapView.vue'),
     props: true
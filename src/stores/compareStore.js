@@ -0,0 +1,116 @@
+import { markRaw } from 'vue';
+import { defineStore } from 'pinia';
+import tokens from '@/theme/tokens';
+import { loadRouteAssets, hasRouteAssets } from '@/utils/loadRouteAssets';
+import { compareRoutes } from '@/utils/routeOverlap';
+import { DEFAULT_EVENT_ID, getEvent } from '@/config/events';
+import { t } from '@/i18n';
+
+/**
+ * Compare store — routes of one event loaded side by side for the compare
+ * view (`/event/:eventId/compare`). Independent of the playback store so
+ * comparing never disturbs the route being played.
+ */
+export const useCompareStore = defineStore('compare', {
+  state: () => ({
+    /** @type {string|null} Event whose routes are compared */
+    eventId: null,
+    /**
+     * @type {Array<{ id: string, config: Object, color: string, lineFeature: Object, elevationProfile: Array<Object>, totalDistance: number }>}
+     * Every route of the event, in event.json order, kept raw (geometry and
+     * profiles are only read)
+     */
+    routes: [],
+    /** @type {string[]} Ids of the routes shown on the map and chart */
+    selectedIds: [],
+    /** @type {boolean} Whether route data is being loaded */
+    loading: false,
+    /** @type {string|null} Error message if loading failed */
+    error: null,
+  }),
+
+  getters: {
+    /** Config of the compared event */
+    event: (state) => getEvent(state.eventId),
+
+    /** Selected routes, in event order */
+    visibleRoutes: (state) => state.routes.filter(r => state.selectedIds.includes(r.id)),
+
+    /**
+     * Shared / unique sections of the selected routes (see utils/routeOverlap),
+     * keyed by route id. Recomputed only when the selection changes.
+     * @returns {Record<string, Object>}
+     */
+    overlap() {
+      const result = compareRoutes(this.visibleRoutes.map(r => ({
+        id: r.id,
+        coordinates: r.lineFeature.geometry.coordinates,
+      })));
+      return Object.fromEntries(result.map(r => [r.id, markRaw(r)]));
+    },
+  },
+
+  actions: {
+    /**
+     * Load every route of an event for comparison.
+     *
+     * @param {string} [eventId] - Event to compare (defaults to DEFAULT_EVENT_ID)
+     * @param {string[]} [routeIds] - Routes selected initially (defaults to all)
+     */
+    async loadEvent(eventId = DEFAULT_EVENT_ID, routeIds = []) {
+      this.loading = true;
+      this.error = null;
+      this.eventId = eventId;
+      this.routes = [];
+      this.selectedIds = [];
+
+      const event = getEvent(eventId);
+      if (!event) {
+        this.error = t('errors.eventNotFound', { id: eventId });
+        this.loading = false;
+        return;
+      }
+
+      try {
+        const configs = event.routes.filter(config => hasRouteAssets(eventId, config.id));
+        const assets = await Promise.all(configs.map(config => loadRouteAssets(eventId, config.id)));
+
+        this.routes = configs
+          .map((config, i) => markRaw({
+            id: config.id,
+            config,
+            color: tokens.colors.route.compare[i % tokens.colors.route.compare.length],
+            lineFeature: assets[i].lineFeature,
+            elevationProfile: assets[i].elevationProfile,
+            totalDistance: assets[i].totalDistance,
+          }))
+          .filter(r => r.lineFeature);
+
+        const known = this.routes.map(r => r.id);
+        const requested = routeIds.filter(id => known.includes(id));
+        this.selectedIds = requested.length > 0 ? requested : known;
+
+        if (this.routes.length < 2) {
+          this.error = t('errors.singleRoute');
+        }
+      } catch (err) {
+        console.error('Failed to load routes for comparison:', err);
+        this.error = t('errors.routeLoad');
+      } finally {
+        this.loading = false;
+      }
+    },
+
+    /**
+     * Show or hide a route. At least one route stays selected.
+     * @param {string} routeId
+     */
+    toggleRoute(routeId) {
+      if (!this.selectedIds.includes(routeId)) {
+        this.selectedIds = this.routes.map(r => r.id).filter(id => id === routeId || this.selectedIds.includes(id));
+      } else if (this.selectedIds.length > 1) {
+        this.selectedIds = this.selectedIds.filter(id => id !== routeId);
+      }
+    },
+  },
+});
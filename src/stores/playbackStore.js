@@ -1,15 +1,102 @@
+import { markRaw } from 'vue';
 import { defineStore } from 'pinia';
-import { parseElevationCsv } from '@/utils/parseElevationCsv';
 import { flattenGeoJson } from '@/utils/flattenGeoJson';
-import eventData from '@/assets/event.json';
+import { parseGpx } from '@/utils/parseGpx';
+import { buildElevationProfile, sampleProfile } from '@/utils/buildElevationProfile';
+import { loadRouteAssets, hasRouteAssets } from '@/utils/loadRouteAssets';
+import { MARK_CATEGORY_MAP, markCategoriesOf } from '@/config/markCategories';
+import { gradeRuns } from '@/config/gradeBands';
+import { detectClimbs } from '@/utils/detectClimbs';
+import { routeSummary } from '@/utils/routeSummary';
+import {
+  buildPacePlan, projectMarks, timeAtDistance, distanceAtTime, recordedTimeline,
+} from '@/utils/pacePlan';
+import { buildGhostTrack, ghostStateAt, OFF_COURSE_M } from '@/utils/ghostTrack';
+import { parseResultsCsv } from '@/utils/parseResultsCsv';
+import {
+  buildRaceReplay, filterRunners, leaderboardAt, runnerDistanceAt,
+} from '@/utils/raceReplay';
+import { applyFix, liveStandings } from '@/utils/liveTracking';
+import { DEFAULT_EVENT_ID, getEvent, getEventRoute } from '@/config/events';
+import { CAMERA_MODES, DEFAULT_CAMERA_MODE } from '@/config/cameraModes';
+import { tourChapterKindOf } from '@/config/tourChapters';
+import { projectOnRoute } from '@/utils/routeGeometry';
+import {
+  t, localized, fromDistance, formatDistance, formatMarkLabel,
+} from '@/i18n';
+
+/** Route id used for user-imported GPX tracks (served at `/route/custom`). */
+export const CUSTOM_ROUTE_ID = 'custom';
+
+/** Playback speed multipliers offered by the speed button, in cycle order. */
+export const SPEED_OPTIONS = [1, 1.5, 2, 3, 5];
+
+/**
+ * What playback does at the finish, in the PlayBack button's cycle order:
+ * stop there (with the finish summary), loop back to the start, or run back
+ * and forth (ping-pong).
+ */
+export const END_BEHAVIOURS = ['stop', 'loop', 'pingpong'];
+
+/**
+ * Animation duration per km for imported tracks, clamped to the range
+ * covered by the official routes (10K → 2 min, 42K → 10 min).
+ */
+const CUSTOM_DURATION_PER_KM = 15000;
+const CUSTOM_DURATION_MIN = 120000;
+const CUSTOM_DURATION_MAX = 600000;
 
 /**
- * Lookup map from route id → route config object (from event.json).
- * @type {Record<string, Object>}
+ * Display text of a projected mark: its label in the active language and
+ * units ("5 K" → "3.1 mi"), else the name of its main category.
+ * @param {{ label: string|Object|null, name: string|null, categories: string[] }} mark
+ * @returns {string}
  */
-const ROUTE_MAP = Object.fromEntries(
-  eventData.routes.map(r => [r.id, r])
-);
+function markText(mark) {
+  const label = formatMarkLabel(localized(mark.label));
+  const category = MARK_CATEGORY_MAP[mark.categories[0]];
+  return (label ? String(label).trim() : '') || (category ? t(category.labelKey) : mark.name);
+}
+
+/** Resolution (km) of the elevation profile panel. */
+const PROFILE_STEP_KM = 0.1;
+
+/**
+ * Reset route data and playback controls before a new load.
+ * @param {Object} store - The playback store instance
+ * @param {string} routeId - Id of the route about to be loaded
+ * @param {string|null} [eventId] - Event owning the route
+ */
+function resetRouteState(store, routeId, eventId = null) {
+  store.loading = true;
+  store.error = null;
+  store.pathData = null;
+  store.marksData = null;
+  store.tourChapters = [];
+  store.tourChapter = null;
+  store.elevationProfile = [];
+  store.totalDistance = 0;
+  store.routeConfig = null;
+  store.progress = 0;
+  store.isPlaying = false;
+  store.speed = 1;
+  store.goalTime = null;
+  store.ghost = null;
+  store.ghostName = '';
+  store.ghostError = null;
+  store.replay = null;
+  store.replayName = '';
+  store.replayError = null;
+  store.replayCategory = '';
+  store.replayQuery = '';
+  store.replayFocusBib = null;
+  store.liveRunners = markRaw({});
+  store.profileHover = null;
+  store.recording = null;
+  store.finished = false;
+  store.routeId = routeId;
+  store.eventId = eventId;
+}
 
 /**
  * Playback store — single source of truth for the route playback state,
@@ -25,23 +112,116 @@ export const usePlaybackStore = defineStore('playback', {
     isPlaying: false,
     /** @type {number} Playback speed multiplier (1 = normal) */
     speed: 1,
+    /** @type {string[]} Mark categories switched off in the legend (kept across routes) */
+    hiddenMarkCategories: [],
+    /** @type {number|null} Pace planner goal finish time in seconds (per route) */
+    goalTime: null,
+    /** @type {string} Pace planner start time of day ("HH:MM"), '' when unset */
+    raceStartTime: '',
+    /** @type {boolean} Whether the full elevation profile panel is open (kept across routes) */
+    profilePanelOpen: false,
+    /** @type {'solid'|'grade'} How the route line is coloured (kept across routes) */
+    routeColorMode: 'solid',
+    /** @type {string} Camera while playing, an id from config/cameraModes (kept across routes) */
+    cameraMode: DEFAULT_CAMERA_MODE,
+    /**
+     * @type {boolean} Pace-realistic playback: the timeline is a simulated
+     * race (recorded times, else the goal time, else targetPace) and the head
+     * slows on climbs (kept across routes)
+     */
+    paceMode: false,
+    /** @type {number} Flat pace in seconds per km for pace-realistic playback without a goal (kept across routes) */
+    targetPace: 360,
+    /** @type {boolean} Guided tour: playback holds at each chapter and shows its card (kept across routes) */
+    tourMode: false,
+    /** @type {number|null} Index in `tourStops` of the chapter whose card is open */
+    tourChapter: null,
+    /** @type {'stop'|'loop'|'pingpong'} What playback does at the finish (kept across routes) */
+    endBehaviour: 'stop',
+    /** @type {boolean} Whether playback stopped at the finish — shows the finish summary */
+    finished: false,
+    /** @type {boolean} Whether the climbs list is expanded and climbs are highlighted on the map (kept across routes) */
+    climbsListOpen: true,
+    /**
+     * @type {{ km: number, source: 'chart'|'map' }|null} Distance hovered on
+     * the profile panel or on the map route, shown as a cursor on both
+     */
+    profileHover: null,
     /** @type {string|null} Currently loaded route id */
     routeId: null,
+    /** @type {string|null} Event the loaded route belongs to (null for imported tracks) */
+    eventId: null,
 
     // --- Route data ---
     /** @type {Object|null} GeoJSON FeatureCollection with the route LineString */
     pathData: null,
     /** @type {Object|null} Marks FeatureCollection (KM markers, hydration, etc.) */
     marksData: null,
+    /** @type {Array<Object>} Guided tour chapters as authored in tour/<routeId>.json */
+    tourChapters: [],
     /** @type {Array<Object>} Parsed elevation profile rows */
     elevationProfile: [],
     /** @type {number} Total distance in km (from last elevation row) */
     totalDistance: 0,
     /** @type {number} Animation duration in ms (from route config) */
     duration: 300000,
-    /** @type {Object|null} Route config object from event.json */
+    /** @type {Object|null} Route config object from the event's event.json */
     routeConfig: null,
 
+    // --- Ghost runner ---
+    /**
+     * @type {Object|null} Recorded activity analysed against the course
+     * (output of utils/ghostTrack buildGhostTrack), kept raw — it holds
+     * per-point arrays read every animation frame.
+     */
+    ghost: null,
+    /** @type {string} Athlete / activity name of the ghost */
+    ghostName: '',
+    /** @type {string|null} Error from the last ghost import */
+    ghostError: null,
+
+    // --- Race replay ---
+    /**
+     * @type {Object|null} Chip-timing results as a replay model
+     * (output of utils/raceReplay buildRaceReplay), kept raw like `ghost`.
+     * While set, `progress` is the race clock fraction, not a route fraction.
+     */
+    replay: null,
+    /** @type {string} Name of the imported results file */
+    replayName: '',
+    /** @type {string|null} Error from the last results import */
+    replayError: null,
+    /** @type {string} Category filter ('' = all) */
+    replayCategory: '',
+    /** @type {string} Bib / name filter ('' = all) */
+    replayQuery: '',
+    /** @type {string|null} Runner followed by the camera (null = leader) */
+    replayFocusBib: null,
+
+    // --- Live tracking ---
+    /** @type {'off'|'connecting'|'live'|'reconnecting'} Tracking feed connection state */
+    liveStatus: 'off',
+    /** @type {string|null} Last tracking feed error */
+    liveError: null,
+    /**
+     * @type {Record<string, Object>} Live runner states keyed by bib
+     * (see utils/liveTracking applyFix). Replaced as a whole on every
+     * batch of fixes and kept raw — trails are only read by the map layers.
+     */
+    liveRunners: markRaw({}),
+
+    // --- Flyover video export ---
+    /**
+     * @type {{ width: number, height: number, fps: number, durationSeconds: number }|null}
+     * Video being rendered (see useScreenRecording); playback controls are
+     * locked while set.
+     */
+    recording: null,
+    /** @type {number} Fraction (0–1) of the video frames rendered */
+    recordingProgress: 0,
+    /** @type {string|null} Error from the last video export */
+    recordingError: null,
+
     // --- Loading / error ---
     /** @type {boolean} Whether route data is being loaded */
     loading: false,
@@ -50,8 +230,209 @@ export const usePlaybackStore = defineStore('playback', {
   }),
 
   getters: {
-    /** City name from the centralized event config */
-    eventCity: () => eventData.city || '',
+    /** Config of the event the loaded route belongs to */
+    event: (state) => getEvent(state.eventId),
+
+    /** City name from the current event config, in the active language */
+    eventCity() {
+      return localized(this.event?.city) || '';
+    },
+
+    /**
+     * Number of marks per category in the loaded route (services included),
+     * e.g. `{ distance: 42, water: 14 }`. Drives the marks legend.
+     * @returns {Record<string, number>}
+     */
+    markCategoryCounts: (state) => {
+      const counts = {};
+      for (const f of state.marksData?.features || []) {
+        for (const category of markCategoriesOf(f.properties)) {
+          counts[category] = (counts[category] || 0) + 1;
+        }
+      }
+      return counts;
+    },
+
+    /**
+     * Elevation profile resampled every 100 m with per-step grades and
+     * cumulative gain — drives the profile panel.
+     * @returns {Array<{ km: number, ele: number, gradePercent: number, gainCum: number }>}
+     */
+    profileSamples: (state) => sampleProfile(state.elevationProfile, PROFILE_STEP_KM),
+
+    /**
+     * Stretches of the route in the same grade band — drives the
+     * gradient-coloured route line.
+     * @returns {Array<{ band: Object, fromKm: number, toKm: number }>}
+     */
+    gradeRuns() {
+      return gradeRuns(this.profileSamples);
+    },
+
+    /**
+     * Significant climbs and descents of the route, in route order
+     * (see utils/detectClimbs).
+     * @returns {Array<{ type: 'climb'|'descent', startKm: number, endKm: number, lengthKm: number,
+     *   gainM: number, avgGrade: number, maxGrade: number, category: Object }>}
+     */
+    climbs() {
+      return detectClimbs(this.profileSamples);
+    },
+
+    /**
+     * Categorised marks projected onto the route, in route order, with
+     * their labels as authored. Independent of the goal time and the
+     * language so projections are computed once per route.
+     * @returns {Array<{ label: string|Object|null, name: string|null, categories: string[], distanceKm: number }>}
+     */
+    projectedMarks: (state) => projectMarks(state.pathData?.features?.[0], state.marksData, state.totalDistance),
+
+    /**
+     * Projected marks with their display label (active language and units).
+     * @returns {Array<{ label: string, categories: string[], distanceKm: number }>}
+     */
+    routeMarks() {
+      return this.projectedMarks.map(m => ({ ...m, label: markText(m) }));
+    },
+
+    /**
+     * Tour chapters placed on the route, in route order. A chapter triggers
+     * at its `km`, or where its `coordinates` project onto the route.
+     * @returns {Array<{ title: string, text: string, photo: string|null, audio: string|null,
+     *   kind: Object, coordinates: [number, number]|null, distanceKm: number, holdSeconds?: number }>}
+     */
+    tourStops: (state) => {
+      const lineFeature = state.pathData?.features?.[0];
+      if (!lineFeature) return [];
+      return state.tourChapters
+        .map((chapter) => {
+          const km = Number.isFinite(chapter.km) ? chapter.km : projectOnRoute(lineFeature, chapter.coordinates);
+          return {
+            ...chapter,
+            kind: tourChapterKindOf(chapter.kind),
+            coordinates: chapter.coordinates ?? null,
+            distanceKm: Math.max(0, Math.min(state.totalDistance, km)),
+          };
+        })
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+    },
+
+    /**
+     * Grade-adjusted plan for the goal time (see utils/pacePlan), or null
+     * while no goal is set. Splits are per km or per mile, following the
+     * runner's unit system.
+     */
+    pacePlan: (state) => buildPacePlan(state.elevationProfile, state.totalDistance, state.goalTime, fromDistance(1)),
+
+    /**
+     * Simulated race behind pace-realistic playback, or null when the mode
+     * is off (ghost and replay bring their own timelines). Uses the profile's
+     * recorded times when every row has one, else the pace planner's goal,
+     * else `targetPace` — both grade-adjusted (see utils/pacePlan).
+     * @returns {{ distances: number[], times: number[], totalSeconds: number, source: 'recorded'|'goal'|'pace' }|null}
+     */
+    paceTimeline() {
+      if (!this.paceMode || this.ghost || this.replay || !this.totalDistance) return null;
+      const recorded = recordedTimeline(this.elevationProfile);
+      if (recorded) return { ...recorded, source: 'recorded' };
+      const plan = this.pacePlan
+        ?? buildPacePlan(this.elevationProfile, this.totalDistance, this.targetPace * this.totalDistance);
+      return {
+        distances: plan.distances,
+        times: plan.times,
+        totalSeconds: plan.goalSeconds,
+        source: this.pacePlan ? 'goal' : 'pace',
+      };
+    },
+
+    /**
+     * Figures of the route up to the head, for the finish summary
+     * (see utils/routeSummary).
+     * @returns {{ distanceKm: number, ascentM: number, maxGrade: number,
+     *   highest: { km: number, ele: number }|null, lowest: { km: number, ele: number }|null,
+     *   hydrationPassed: number }}
+     */
+    finishSummary() {
+      return routeSummary(
+        this.elevationProfile,
+        this.profileSamples,
+        this.routeMarks,
+        this.routeProgress * this.totalDistance,
+      );
+    },
+
+    /**
+     * Route marks with the planned elapsed time at each one.
+     * @returns {Array<{ label: string, categories: string[], distanceKm: number, elapsed: number }>}
+     */
+    pacePlanMarks() {
+      const plan = this.pacePlan;
+      if (!plan) return [];
+      return this.routeMarks.map(m => ({ ...m, elapsed: timeAtDistance(plan, m.distanceKm) }));
+    },
+
+    /**
+     * Live comparison between the ghost and the route head at the current
+     * progress. The route head is the even-pace reference, so
+     * `gapMetres > 0` means the athlete is ahead of their average pace.
+     * @returns {{ elapsed: number, gapMetres: number, offsetM: number, offCourse: boolean }|null}
+     */
+    ghostStatus: (state) => {
+      if (!state.ghost) return null;
+      const elapsed = state.progress * state.ghost.totalSeconds;
+      const { fraction, offsetM } = ghostStateAt(state.ghost, elapsed);
+      return {
+        elapsed,
+        gapMetres: (fraction - state.progress) * state.totalDistance * 1000,
+        offsetM,
+        offCourse: offsetM > OFF_COURSE_M,
+      };
+    },
+
+    /** Race clock in seconds while a replay is loaded */
+    replayClock: (state) => (state.replay ? state.progress * state.replay.durationSeconds : 0),
+
+    /** Replay runners matching the category and bib / name filters */
+    replayRunners: (state) => (state.replay
+      ? filterRunners(state.replay.runners, state.replayCategory, state.replayQuery)
+      : []),
+
+    /** Standings of the filtered runners at the race clock */
+    replayLeaderboard() {
+      return leaderboardAt(this.replayRunners, this.replayClock);
+    },
+
+    /**
+     * Runner the route head follows: the focused bib when it passes the
+     * filters, otherwise the leader.
+     * @returns {{ runner: Object, distanceKm: number }|null}
+     */
+    replayFocus() {
+      const focused = this.replayRunners.find(r => r.bib === this.replayFocusBib);
+      if (focused) return { runner: focused, distanceKm: runnerDistanceAt(focused, this.replayClock) };
+      return this.replayLeaderboard[0] ?? null;
+    },
+
+    /**
+     * Position of the route head as a route fraction (0–1). Equal to
+     * `progress` except in race replay, where progress is race time and the
+     * head follows `replayFocus`. Distance-based stats read this.
+     */
+    routeProgress() {
+      if (this.paceTimeline) {
+        const { totalSeconds } = this.paceTimeline;
+        return this.totalDistance
+          ? distanceAtTime(this.paceTimeline, this.progress * totalSeconds) / this.totalDistance
+          : 0;
+      }
+      if (!this.replay) return this.progress;
+      return this.replayFocus && this.totalDistance
+        ? this.replayFocus.distanceKm / this.totalDistance
+        : 0;
+    },
+
+    /** Live runners, leader first */
+    liveStandings: (state) => liveStandings(state.liveRunners),
 
     /**
      * True when pathData has been loaded successfully and there is no error.
@@ -62,28 +443,24 @@ export const usePlaybackStore = defineStore('playback', {
 
   actions: {
     /**
-     * Load all assets for the given route (geojson, elevation CSV, marks).
-     * Resets playback state before loading.
+     * Load all assets for the given route (geojson, elevation CSV, marks —
+     * see utils/loadRouteAssets). Resets playback state before loading.
      *
-     * @param {string} routeId - The route identifier (must match an id in event.json)
-     */
-    async loadRoute(routeId) {
-      // Reset all state
-      this.loading = true;
-      this.error = null;
-      this.pathData = null;
-      this.marksData = null;
-      this.elevationProfile = [];
-      this.totalDistance = 0;
-      this.routeConfig = null;
-      this.progress = 0;
-      this.isPlaying = false;
-      this.speed = 1;
-      this.routeId = routeId;
+     * @param {string} routeId - The route identifier (must match an id in the event's routes)
+     * @param {string} [eventId] - Event owning the route (defaults to DEFAULT_EVENT_ID)
+     */
+    async loadRoute(routeId, eventId = DEFAULT_EVENT_ID) {
+      resetRouteState(this, routeId, eventId);
+
+      if (!getEvent(eventId)) {
+        this.error = t('errors.eventNotFound', { id: eventId });
+        this.loading = false;
+        return;
+      }
 
-      const config = ROUTE_MAP[routeId];
-      if (!config) {
-        this.error = `Route "${routeId}" not found.`;
+      const config = getEventRoute(eventId, routeId);
+      if (!config || !hasRouteAssets(eventId, routeId)) {
+        this.error = t('errors.routeNotFound', { id: routeId });
         this.loading = false;
         return;
       }
@@ -91,22 +468,9 @@ export const usePlaybackStore = defineStore('playback', {
       this.routeConfig = config;
 
       try {
-        // Load route GeoJSON, elevation CSV and marks GeoJSON in parallel
-        const [geojsonModule, csvModule, marksModule] = await Promise.all([
-          import(`@/assets/routes/${routeId}.geojson`),
-          import(`@/assets/elevation/${routeId}.csv?raw`),
-          import(`@/assets/marks/${routeId}.geojson`),
-        ]);
-
-        const rawGeojson = geojsonModule.default || geojsonModule;
-        const csvText = csvModule.default || csvModule;
-
-        // Flatten GeoJSON: strip Z (elevation) values from coordinates and
-        // normalise MultiLineString → LineString so Mapbox only receives 2D data.
-        const geojson = flattenGeoJson(rawGeojson);
-
-        // Extract the LineString (route geometry) for pathData
-        const lineFeature = geojson.features.find(f => f.geometry.type === 'LineString');
+        const {
+          lineFeature, marksData, elevationProfile, totalDistance, tourChapters,
+        } = await loadRouteAssets(eventId, routeId);
 
         this.pathData = {
           type: 'FeatureCollection',
@@ -114,20 +478,70 @@ export const usePlaybackStore = defineStore('playback', {
         };
 
         // Marks GeoJSON is the canonical source for mark data
-        this.marksData = marksModule.default || marksModule;
+        this.marksData = marksData;
+        this.tourChapters = tourChapters;
+        this.elevationProfile = elevationProfile;
+        this.totalDistance = totalDistance;
+        this.duration = config.duration;
+      } catch (err) {
+        console.error('Failed to load route data:', err);
+        this.error = t('errors.routeLoad');
+      } finally {
+        this.loading = false;
+      }
+    },
 
-        // Parse elevation CSV into numeric-typed array
-        this.elevationProfile = parseElevationCsv(csvText);
+    /**
+     * Load a runner's own GPX recording as a playable route.
+     * Produces the same state shape as `loadRoute`: a flattened LineString
+     * in pathData, an elevation profile derived from the track points and
+     * no marks.
+     *
+     * @param {string} gpxText - Raw GPX file content
+     * @param {string} [fileName] - Original file name, used when the GPX has no <name>
+     */
+    async loadCustomRoute(gpxText, fileName = '') {
+      resetRouteState(this, CUSTOM_ROUTE_ID);
 
-        // Total distance from the last profile point
-        if (this.elevationProfile.length > 0) {
-          this.totalDistance = this.elevationProfile[this.elevationProfile.length - 1].distance_km_cum;
-        }
+      try {
+        const { name, geojson } = parseGpx(gpxText);
+        const track = geojson.features[0];
 
-        this.duration = config.duration;
+        // Profile is built from the 3D track before flattening drops Z
+        this.elevationProfile = buildElevationProfile(
+          track.geometry.coordinates,
+          track.properties.times,
+        );
+
+        const lineFeature = flattenGeoJson(geojson).features[0];
+        lineFeature.properties = {};
+        this.pathData = {
+          type: 'FeatureCollection',
+          features: [lineFeature],
+        };
+
+        this.totalDistance = this.elevationProfile[this.elevationProfile.length - 1].distance_km_cum;
+        this.duration = Math.min(
+          CUSTOM_DURATION_MAX,
+          Math.max(CUSTOM_DURATION_MIN, Math.round(this.totalDistance * CUSTOM_DURATION_PER_KM)),
+        );
+
+        this.routeConfig = {
+          id: CUSTOM_ROUTE_ID,
+          name: name || fileName.replace(/\.gpx$/i, '') || t('customRoute.defaultName'),
+          distance: Math.round(this.totalDistance * 100) / 100,
+          distanceUnit: 'km',
+          difficulty: 'moderate',
+          type: 'GPX',
+          description: t('customRoute.description', {
+            distance: formatDistance(this.totalDistance, 2),
+            file: fileName || t('customRoute.aGpxFile'),
+          }),
+          duration: this.duration,
+        };
       } catch (err) {
-        console.error('Failed to load route data:', err);
-        this.error = 'Failed to load route data.';
+        console.error('Failed to load GPX track:', err);
+        this.error = err.message || t('errors.gpxLoad');
       } finally {
         this.loading = false;
       }
@@ -143,9 +557,88 @@ export const usePlaybackStore = defineStore('playback', {
 
     /** Toggle between playing and paused. */
     togglePlay() {
+      if (this.recording) return;
+      // Playing again after stopping at the finish starts over
+      if (!this.isPlaying && this.progress >= 1) this.progress = 0;
+      this.finished = false;
+      this.tourChapter = null;
       this.isPlaying = !this.isPlaying;
     },
 
+    /**
+     * Seek to a distance along the route (converted to the simulated race
+     * time in pace-realistic playback).
+     * @param {number} km
+     */
+    seekToKm(km) {
+      if (!this.totalDistance) return;
+      const timeline = this.paceTimeline;
+      this.setProgress(timeline
+        ? timeAtDistance(timeline, km) / timeline.totalSeconds
+        : Math.min(1, km / this.totalDistance));
+    },
+
+    /** Switch pace-realistic playback on or off; the head keeps its position. */
+    togglePaceMode() {
+      this.paceMode = !this.paceMode;
+    },
+
+    /**
+     * Set the flat pace used by pace-realistic playback without a goal time.
+     * @param {number} secondsPerKm
+     */
+    setTargetPace(secondsPerKm) {
+      this.targetPace = secondsPerKm;
+    },
+
+    /** Switch the guided tour on or off. */
+    toggleTourMode() {
+      this.tourMode = !this.tourMode;
+      this.tourChapter = null;
+    },
+
+    /**
+     * Open a chapter card; playback holds there until the card is closed
+     * (see useRouteAnimation).
+     * @param {number} index - Index in `tourStops`
+     */
+    openTourChapter(index) {
+      this.tourChapter = index;
+    },
+
+    /** Close the chapter card and let the tour continue. */
+    closeTourChapter() {
+      this.tourChapter = null;
+    },
+
+    /**
+     * Jump to a chapter from the table of contents and open its card.
+     * @param {number} index - Index in `tourStops`
+     */
+    seekToChapter(index) {
+      const stop = this.tourStops[index];
+      if (!stop) return;
+      this.seekToKm(stop.distanceKm);
+      this.tourChapter = index;
+    },
+
+    /** Stop at the finish line and show the finish summary. */
+    finishPlayback() {
+      this.isPlaying = false;
+      this.finished = true;
+    },
+
+    /** Close the finish summary. */
+    dismissFinishSummary() {
+      this.finished = false;
+    },
+
+    /** Switch to the next end-of-route behaviour (END_BEHAVIOURS order). */
+    cycleEndBehaviour() {
+      const i = END_BEHAVIOURS.indexOf(this.endBehaviour);
+      this.endBehaviour = END_BEHAVIOURS[(i + 1) % END_BEHAVIOURS.length];
+    },
+
     /**
      * Set the playback speed multiplier.
      * @param {number} speed
@@ -154,6 +647,227 @@ export const usePlaybackStore = defineStore('playback', {
       this.speed = speed;
     },
 
+    /**
+     * Load a recorded activity (GPX with <time>) as the ghost runner for the
+     * loaded route. Playback restarts from the beginning on the new timeline.
+     *
+     * @param {string} gpxText - Raw GPX file content
+     * @param {string} [fileName] - Original file name, used when the GPX has no <name>
+     */
+    loadGhost(gpxText, fileName = '') {
+      const lineFeature = this.pathData?.features?.[0];
+      if (!lineFeature) return;
+
+      try {
+        const { name, geojson } = parseGpx(gpxText);
+        this.ghost = markRaw(buildGhostTrack(lineFeature, geojson.features[0]));
+        this.ghostName = name || fileName.replace(/\.gpx$/i, '') || t('ghost.defaultName');
+        this.ghostError = null;
+        this.replay = null;
+        this.isPlaying = false;
+        this.progress = 0;
+      } catch (err) {
+        console.error('Failed to load ghost track:', err);
+        this.ghostError = err.message || t('errors.ghostLoad');
+      }
+    },
+
+    /** Remove the ghost runner and return to the route's own timeline. */
+    clearGhost() {
+      this.ghost = null;
+      this.ghostName = '';
+      this.ghostError = null;
+    },
+
+    /**
+     * Import chip-timing results (see utils/parseResultsCsv) and switch to
+     * race replay: runners move along the loaded route and the playback
+     * scrubber controls the race clock.
+     *
+     * @param {string} csvText - Raw results CSV
+     * @param {string} [fileName] - Original file name, shown in the panel
+     */
+    loadResults(csvText, fileName = '') {
+      if (!this.pathData || !this.totalDistance) return;
+
+      try {
+        this.replay = markRaw(buildRaceReplay(parseResultsCsv(csvText), this.totalDistance));
+        this.replayName = fileName.replace(/\.csv$/i, '') || t('replay.defaultName');
+        this.replayError = null;
+        this.replayCategory = '';
+        this.replayQuery = '';
+        this.replayFocusBib = null;
+        this.ghost = null;
+        this.isPlaying = false;
+        this.progress = 0;
+      } catch (err) {
+        console.error('Failed to load results:', err);
+        this.replayError = err.message || t('errors.resultsLoad');
+      }
+    },
+
+    /** Leave race replay and return to the route's own timeline. */
+    clearReplay() {
+      this.replay = null;
+      this.replayName = '';
+      this.replayError = null;
+      this.replayFocusBib = null;
+    },
+
+    /**
+     * Filter replay runners by category.
+     * @param {string} category - Category name, '' for all
+     */
+    setReplayCategory(category) {
+      this.replayCategory = category;
+    },
+
+    /**
+     * Filter replay runners by bib (exact) or name (partial).
+     * @param {string} query
+     */
+    setReplayQuery(query) {
+      this.replayQuery = query;
+    },
+
+    /**
+     * Follow a runner with the route head and camera.
+     * @param {string|null} bib - Runner bib, null to follow the leader
+     */
+    focusRunner(bib) {
+      this.replayFocusBib = bib;
+    },
+
+    /**
+     * Update the tracking feed connection state.
+     * @param {'off'|'connecting'|'live'|'reconnecting'} status
+     * @param {string|null} [error] - Reason for a drop, shown in the panel
+     */
+    setLiveStatus(status, error = null) {
+      this.liveStatus = status;
+      this.liveError = error;
+    },
+
+    /**
+     * Snap a batch of tracking fixes onto the loaded route and update the
+     * live runners.
+     * @param {Array<{ bib: string, lngLat: [number, number], timestamp: number }>} fixes
+     */
+    applyLiveFixes(fixes) {
+      const lineFeature = this.pathData?.features?.[0];
+      if (!lineFeature || !this.totalDistance || fixes.length === 0) return;
+
+      const runners = { ...this.liveRunners };
+      for (const fix of fixes) {
+        runners[fix.bib] = applyFix(runners[fix.bib] ?? null, fix, lineFeature, this.totalDistance);
+      }
+      this.liveRunners = markRaw(runners);
+    },
+
+    /** Forget every live runner (the feed stays connected). */
+    clearLiveRunners() {
+      this.liveRunners = markRaw({});
+    },
+
+    /**
+     * Render the flyover to a WebM video. Playback pauses and the map
+     * renders the frames (useRouteAnimation → useScreenRecording).
+     * @param {{ width: number, height: number, fps: number, durationSeconds: number }} options
+     */
+    startRecording(options) {
+      if (this.recording || !this.pathData) return;
+      this.isPlaying = false;
+      this.recordingProgress = 0;
+      this.recordingError = null;
+      this.recording = options;
+    },
+
+    /**
+     * Report how many frames have been rendered.
+     * @param {number} fraction - 0–1
+     */
+    setRecordingProgress(fraction) {
+      this.recordingProgress = fraction;
+    },
+
+    /**
+     * End the export (finished, cancelled or failed).
+     * @param {string|null} [error] - Message when the export failed
+     */
+    finishRecording(error = null) {
+      this.recording = null;
+      this.recordingError = error;
+    },
+
+    /** Open or close the full elevation profile panel. */
+    toggleProfilePanel() {
+      this.profilePanelOpen = !this.profilePanelOpen;
+    },
+
+    /** Expand or collapse the climbs list (and their highlight on the map). */
+    toggleClimbsList() {
+      this.climbsListOpen = !this.climbsListOpen;
+    },
+
+    /**
+     * Switch the playback camera; applies immediately, even mid-playback.
+     * @param {string} mode - Camera mode id (config/cameraModes)
+     */
+    setCameraMode(mode) {
+      if (CAMERA_MODES.some(m => m.id === mode)) this.cameraMode = mode;
+    },
+
+    /** Switch to the next camera mode, in config/cameraModes order. */
+    cycleCameraMode() {
+      const i = CAMERA_MODES.findIndex(m => m.id === this.cameraMode);
+      this.cameraMode = CAMERA_MODES[(i + 1) % CAMERA_MODES.length].id;
+    },
+
+    /** Switch the route line between the solid colour and grade colours. */
+    toggleRouteColorMode() {
+      this.routeColorMode = this.routeColorMode === 'grade' ? 'solid' : 'grade';
+    },
+
+    /**
+     * Set (or clear) the distance hovered on the profile panel or the map.
+     * @param {number|null} km - Distance along the route, null when the pointer leaves
+     * @param {'chart'|'map'} [source] - Where the pointer is
+     */
+    setProfileHover(km, source = 'chart') {
+      this.profileHover = km === null ? null : { km, source };
+    },
+
+    /**
+     * Set the pace planner goal for the loaded route.
+     * @param {number|null} seconds - Goal finish time, null to clear the plan
+     */
+    setGoalTime(seconds) {
+      this.goalTime = seconds;
+    },
+
+    /**
+     * Set the race start time used to show projected times of day.
+     * @param {string} time - "HH:MM", or '' to show elapsed times only
+     */
+    setRaceStartTime(time) {
+      this.raceStartTime = time;
+    },
+
+    /**
+     * Show or hide a mark category on the map.
+     * @param {string} category - Category id (see config/markCategories)
+     */
+    toggleMarkCategory(category) {
+      this.hiddenMarkCategories = this.hiddenMarkCategories.includes(category)
+        ? this.hiddenMarkCategories.filter(c => c !== category)
+        : [...this.hiddenMarkCategories, category];
+    },
+
+    /** Show every mark category again. */
+    showAllMarkCategories() {
+      this.hiddenMarkCategories = [];
+    },
+
     /** Reset playback to initial state (beginning of route, paused). */
     reset() {
       this.progress = 0;
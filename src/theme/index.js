@@ -4,6 +4,7 @@
  * Usage in components (Composition API):
  *   import { useTheme } from '@/theme';
  *   const { isLightTheme, toggleTheme } = useTheme();
+ *   const { themeName, setTheme } = useTheme();   // named palettes
  *
  *   import tokens from '@/theme/tokens';
  *
@@ -11,6 +12,8 @@
  * by the cssTokensPlugin (see vite.config.js + tokensToCSS.js).
  */
 
-export { useTheme } from './useTheme';
+export {
+  useTheme, THEMES, DEFAULT_THEME, AUTO_THEME,
+} from './useTheme';
 export { default as tokens } from './tokens';
 export { tokensToCSS } from './tokensToCSS';
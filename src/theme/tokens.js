@@ -13,6 +13,7 @@
  *  • fonts              – family stacks & base sizes
  *  • logo               – SVG viewBox path(s) reused in header/footer
  *  • difficulty         – per-difficulty colour pairs (dark & light)
+ *  • themes             – named palettes selectable at runtime (see below)
  */
 
 const tokens = {
@@ -87,6 +88,122 @@ const tokens = {
       gradientStart: '#006633',
       gradientEnd: '#E64A19',
       markDot: '#F57C00',
+      ghost: '#2979FF',         // ghost runner (recorded activity) head + trail
+      runner: '#00B8D4',        // race replay runner dots
+      offCourse: '#D500F9',     // ghost segments away from the certified line
+      live: '#00C853',          // live-tracked runners + trails
+      start: '#00C853',         // start pin on route thumbnails
+      finish: '#E64A19',        // finish pin on route thumbnails
+      compare: ['#FFA200', '#2979FF', '#E91E63', '#00BFA5', '#AA00FF'], // compare view, one per distance
+    },
+
+    /* ── Grade bands (elevation profile fill, see config/gradeBands.js) ── */
+    grade: {
+      steepDown: '#00897B',
+      down: '#00C853',
+      flat: '#8D99AE',
+      up: '#FFA200',
+      steepUp: '#E64A19',
+    },
+
+    /* ── Guided tour chapters (see config/tourChapters.js) ───── */
+    tour: {
+      landmark: '#2979FF',
+      history: '#AA00FF',
+      turn: '#E64A19',
+      cheer: '#00C853',
+    },
+  },
+
+  /* ── Named themes ──────────────────────────────────────────── *
+   * Each theme overrides part of `colors` (brand, dark, light,
+   * difficulty); anything it leaves out comes from the palette above,
+   * which is the default theme. tokensToCSS emits one scoped variable set
+   * per theme (`[data-theme="<id>"]`) and useTheme switches between them.
+   * Map layer colours (`colors.route`, `grade`, `tour`) are shared.
+   */
+  defaultTheme: 'cali',
+  themes: {
+    /* Maratón de Cali orange — the palette above */
+    cali: {},
+
+    /* Title sponsor blue */
+    sponsor: {
+      brand: {
+        primary: '#00A3E0',
+        primaryHover: '#0086BA',
+        accent: '#0066CC',
+        accentHover: '#1A7FE0',
+        accentDark: '#004C99',
+      },
+      dark: {
+        bg: '#07111c',
+        bgElevated: '#0d1b2a',
+        bgGlass: 'rgba(10, 22, 36, 0.92)',
+        cardHoverBg: '#16283b',
+        border: '#1b2d40',
+      },
+      light: {
+        bgElevated: '#f2f7fb',
+        cardHoverBg: '#e6f0f8',
+        accentDark: '#004C99',
+      },
+    },
+
+    /* High contrast — solid surfaces, full-strength text and borders */
+    contrast: {
+      brand: {
+        primary: '#FFD600',
+        primaryHover: '#FFEA00',
+        accent: '#FFD600',
+        accentHover: '#FFEA00',
+        accentDark: '#FFAB00',
+      },
+      dark: {
+        bg: '#000000',
+        bgElevated: '#000000',
+        bgGlass: 'rgba(0, 0, 0, 0.98)',
+        text: '#ffffff',
+        textMuted: '#ffffff',
+        textFaint: '#e0e0e0',
+        border: '#ffffff',
+        borderSubtle: '#ffffff',
+        cardHoverBg: '#333333',
+        progressTrack: 'rgba(255, 255, 255, 0.45)',
+        speedBtnBg: '#000000',
+        speedBtnBorder: '#ffffff',
+        speedBtnHoverBg: '#333333',
+      },
+      light: {
+        bg: '#ffffff',
+        bgElevated: '#ffffff',
+        bgGlass: 'rgba(255, 255, 255, 0.98)',
+        text: '#000000',
+        textMuted: '#000000',
+        textFaint: '#333333',
+        border: '#000000',
+        borderSubtle: '#000000',
+        cardHoverBg: '#e0e0e0',
+        progressTrack: 'rgba(0, 0, 0, 0.45)',
+        speedBtnBg: '#ffffff',
+        speedBtnBorder: '#000000',
+        speedBtnHoverBg: '#e0e0e0',
+        accentDark: '#1B5E20',          // text-coloured accent must stay dark on white
+      },
+      difficulty: {
+        easy: {
+          dark: { bg: '#00e676', text: '#000000' },
+          light: { bg: '#1B5E20', text: '#ffffff' },
+        },
+        moderate: {
+          dark: { bg: '#ffab40', text: '#000000' },
+          light: { bg: '#BF360C', text: '#ffffff' },
+        },
+        challenging: {
+          dark: { bg: '#ff5252', text: '#000000' },
+          light: { bg: '#B71C1C', text: '#ffffff' },
+        },
+      },
     },
   },
 
@@ -43,40 +43,100 @@ function colorVars(obj, prefix = 'color') {
   return result;
 }
 
-/* ── main generator ─────────────────────────────────────────── */
-
 /**
- * Generate a complete CSS string (reset + custom properties) from
- * the design-tokens object exported by `tokens.js`.
+ * Mode-dependent colour variables of one palette.
  *
- * @param {import('./tokens').default} tokens
- * @returns {string} Valid CSS ready to inject or write to a file.
+ * `dark` holds the brand colours plus the dark semantic colours; `light`
+ * holds the light overrides. Difficulty badges are split by mode.
+ *
+ * @param {{ brand: Object, dark: Object, light: Object, difficulty: Object }} colors
+ * @returns {{ dark: Record<string,string>, light: Record<string,string> }}
  */
-export function tokensToCSS(tokens) {
-  const { colors, fonts, layout, transitions = {} } = tokens;
-
-  /* ── :root — dark mode (app default) ────────────────────── */
-  const rootVars = {
+function paletteVars(colors) {
+  const dark = {
     /* Brand */
     ...colorVars(colors.brand),
 
     /* Semantic surfaces / text / borders (dark) */
     ...colorVars(colors.dark),
   };
+  const light = {
+    ...colorVars(colors.light),
+  };
 
-  /* Difficulty badges — dark */
+  /* Difficulty badges */
   for (const [level, modes] of Object.entries(colors.difficulty)) {
     for (const [prop, val] of Object.entries(modes.dark)) {
-      rootVars[`color-diff-${level}-${prop}`] = val;
+      dark[`color-diff-${level}-${prop}`] = val;
+    }
+    for (const [prop, val] of Object.entries(modes.light)) {
+      light[`color-diff-${level}-${prop}`] = val;
     }
   }
 
+  return { dark, light };
+}
+
+/**
+ * Base colours with a named theme's overrides applied (one level deep for
+ * brand / dark / light, per mode for difficulty).
+ * @param {Object} colors - `tokens.colors`
+ * @param {Object} overrides - `tokens.themes[id]`
+ * @returns {Object}
+ */
+function themeColors(colors, overrides) {
+  const difficulty = {};
+  for (const [level, modes] of Object.entries(colors.difficulty)) {
+    const own = overrides.difficulty?.[level] ?? {};
+    difficulty[level] = {
+      dark: { ...modes.dark, ...own.dark },
+      light: { ...modes.light, ...own.light },
+    };
+  }
+  return {
+    brand: { ...colors.brand, ...overrides.brand },
+    dark: { ...colors.dark, ...overrides.dark },
+    light: { ...colors.light, ...overrides.light },
+    difficulty,
+  };
+}
+
+/* ── main generator ─────────────────────────────────────────── */
+
+/**
+ * Generate a complete CSS string (reset + custom properties) from
+ * the design-tokens object exported by `tokens.js`.
+ *
+ * Besides the default palette on `:root` / `.light-theme`, every named
+ * theme in `tokens.themes` gets a scoped set of colour variables:
+ * `[data-theme="<id>"]` (dark) and its `.light-theme` counterpart. The
+ * attribute usually sits on `<html>` (see useTheme), but any element can
+ * carry it to preview a theme inside the page.
+ *
+ * @param {import('./tokens').default} tokens
+ * @returns {string} Valid CSS ready to inject or write to a file.
+ */
+export function tokensToCSS(tokens) {
+  const {
+    colors, fonts, layout, transitions = {}, themes = {},
+  } = tokens;
+  const base = paletteVars(colors);
+
+  /* ── :root — dark mode (app default) ────────────────────── */
+  const rootVars = { ...base.dark };
+
   /* Route colours (map) — mode-independent */
   Object.assign(rootVars, {
     'color-route-full': colors.route.full,
     'color-route-line': colors.route.animatedLine,
     'color-route-head': colors.route.head,
     'color-route-mark-dot': colors.route.markDot,
+    'color-route-ghost': colors.route.ghost,
+    'color-route-off-course': colors.route.offCourse,
+    'color-route-runner': colors.route.runner,
+    'color-route-live': colors.route.live,
+    'color-route-start': colors.route.start,
+    'color-route-finish': colors.route.finish,
   });
 
   /* Typography */
@@ -100,17 +160,23 @@ export function tokensToCSS(tokens) {
   rootVars['transition-theme'] = transitions.theme
     || 'background-color 0.3s ease, color 0.3s ease, border-color 0.3s ease';
 
-  /* ── .light-theme ───────────────────────────────────────── */
-  const lightVars = {
-    ...colorVars(colors.light),
-  };
-
-  /* Difficulty badges — light */
-  for (const [level, modes] of Object.entries(colors.difficulty)) {
-    for (const [prop, val] of Object.entries(modes.light)) {
-      lightVars[`color-diff-${level}-${prop}`] = val;
-    }
-  }
+  /* ── Named themes — full colour sets so they never mix with another ── */
+  const themeBlocks = Object.entries(themes).flatMap(([id, overrides]) => {
+    const vars = paletteVars(themeColors(colors, overrides));
+    const scope = `[data-theme="${id}"]`;
+    return [
+      `/* ── Theme: ${id} ${'─'.repeat(Math.max(3, 48 - id.length))} */`,
+      `${scope} {`,
+      cssBlock(vars.dark),
+      '}',
+      '',
+      `${scope}.light-theme,`,
+      `.light-theme ${scope} {`,
+      cssBlock(vars.light),
+      '}',
+      '',
+    ];
+  });
 
   /* ── Assemble ───────────────────────────────────────────── */
   return [
@@ -121,8 +187,9 @@ export function tokensToCSS(tokens) {
     ' *  Modify src/theme/tokens.js instead.',
     ' *',
     ' *  How it works:',
-    ' *    :root          → dark-mode defaults (the app default)',
-    ' *    .light-theme   → light-mode overrides',
+    ' *    :root              → dark-mode defaults (the app default)',
+    ' *    .light-theme       → light-mode overrides',
+    ' *    [data-theme="id"]  → named theme colours (dark, then light)',
     ' *  ────────────────────────────────────────────────────────── */',
     '',
     '/* ── Reset ─────────────────────────────────────────────────── */',
@@ -143,8 +210,9 @@ export function tokensToCSS(tokens) {
     '',
     '/* ── Light mode ────────────────────────────────────────────── */',
     '.light-theme {',
-    cssBlock(lightVars),
+    cssBlock(base.light),
     '}',
     '',
+    ...themeBlocks,
   ].join('\n');
 }
@@ -1,39 +1,113 @@
 /**
  * useTheme — Composition API composable that replaces the legacy themeMixin.
  *
- * Provides reactive dark / light theme toggling with:
+ * Provides reactive dark / light theme toggling and the named theme
+ * (colour palette, see `tokens.themes`) with:
  *   - localStorage persistence
  *   - OS preference fallback (prefers-color-scheme)
  *   - Cross-tab synchronisation via the `storage` event
  *   - Automatic `.light-theme` class on `<html>` for CSS variable switching
+ *   - Automatic `data-theme` attribute on `<html>` for the named theme
+ *
+ * The named theme follows the current event (`branding.theme` in
+ * event.json) until the user picks one; choosing 'auto' goes back to the
+ * event's theme. State is shared by every caller.
  *
  * Usage:
  *   import { useTheme } from '@/theme';
- *   const { isLightTheme, toggleTheme } = useTheme();
+ *   const { isLightTheme, toggleTheme, themeName, setTheme } = useTheme();
  */
 
-import { ref, watch, onMounted, onBeforeUnmount } from 'vue';
+import {
+  ref, computed, watch, onMounted, onBeforeUnmount,
+} from 'vue';
+import tokens from './tokens';
 
-export function useTheme() {
-  const isLightTheme = ref(false);
+/** localStorage key of the dark / light mode */
+const MODE_STORAGE_KEY = 'theme';
+/** localStorage key of the named theme picked by the user */
+const NAME_STORAGE_KEY = 'themeName';
+/** Theme choice that follows the event's branding */
+const AUTO_THEME = 'auto';
+
+/** @type {string[]} Ids of the named themes, in declaration order */
+const THEMES = Object.keys(tokens.themes);
+/** @type {string} Theme used when neither the user nor the event picks one */
+const DEFAULT_THEME = tokens.defaultTheme;
+
+/**
+ * Known theme id, or null.
+ * @param {string|null|undefined} id
+ * @returns {string|null}
+ */
+function supportedTheme(id) {
+  return THEMES.includes(id) ? id : null;
+}
+
+/** @type {import('vue').Ref<boolean>} */
+const isLightTheme = ref(false);
+
+/** @type {import('vue').Ref<string>} Theme id picked by the user, or 'auto' */
+const themeChoice = ref(
+  (typeof window !== 'undefined' && supportedTheme(localStorage.getItem(NAME_STORAGE_KEY))) || AUTO_THEME,
+);
 
-  // Keep <html> class in sync for global CSS vars
+/** @type {import('vue').Ref<string|null>} Theme requested by the current event */
+const eventTheme = ref(null);
+
+/** @type {import('vue').ComputedRef<string>} Theme id in effect */
+const themeName = computed(() => supportedTheme(themeChoice.value)
+  || supportedTheme(eventTheme.value)
+  || DEFAULT_THEME);
+
+if (typeof window !== 'undefined') {
+  // Keep <html> class and attribute in sync for global CSS vars
   watch(isLightTheme, (light) => {
     document.documentElement.classList.toggle('light-theme', light);
   });
+  watch(themeName, (id) => {
+    document.documentElement.dataset.theme = id;
+  }, { immediate: true });
+}
 
-  /** Toggle between dark and light, persisting to localStorage. */
-  function toggleTheme() {
-    isLightTheme.value = !isLightTheme.value;
-    localStorage.setItem('theme', isLightTheme.value ? 'light' : 'dark');
+/** Toggle between dark and light, persisting to localStorage. */
+function toggleTheme() {
+  isLightTheme.value = !isLightTheme.value;
+  localStorage.setItem(MODE_STORAGE_KEY, isLightTheme.value ? 'light' : 'dark');
+}
+
+/**
+ * Pick a named theme, or 'auto' to follow the event, persisting to localStorage.
+ * @param {string} id - Theme id from THEMES, or 'auto'
+ */
+function setTheme(id) {
+  if (id === AUTO_THEME) {
+    themeChoice.value = AUTO_THEME;
+    localStorage.removeItem(NAME_STORAGE_KEY);
+    return;
   }
+  const next = supportedTheme(id);
+  if (!next) return;
+  themeChoice.value = next;
+  localStorage.setItem(NAME_STORAGE_KEY, next);
+}
+
+/**
+ * Set the theme of the event being shown; unknown ids fall back to the
+ * default theme.
+ * @param {string|null|undefined} id - `branding.theme` of the event
+ */
+function setEventTheme(id) {
+  eventTheme.value = supportedTheme(id);
+}
 
+export function useTheme() {
   // Cross-tab synchronisation handler
   let storageHandler = null;
 
   onMounted(() => {
     // 1. Restore from localStorage
-    const saved = localStorage.getItem('theme');
+    const saved = localStorage.getItem(MODE_STORAGE_KEY);
     if (saved) {
       isLightTheme.value = saved === 'light';
     } else {
@@ -44,8 +118,12 @@ export function useTheme() {
     document.documentElement.classList.toggle('light-theme', isLightTheme.value);
 
     // 2. Cross-tab synchronisation
-    storageHandler = () => {
-      const theme = localStorage.getItem('theme');
+    storageHandler = (e) => {
+      if (e.key === NAME_STORAGE_KEY) {
+        themeChoice.value = supportedTheme(e.newValue) || AUTO_THEME;
+        return;
+      }
+      const theme = localStorage.getItem(MODE_STORAGE_KEY);
       if (theme) {
         isLightTheme.value = theme === 'light';
       }
@@ -59,5 +137,15 @@ export function useTheme() {
     }
   });
 
-  return { isLightTheme, toggleTheme };
+  return {
+    isLightTheme,
+    toggleTheme,
+    themeName,
+    themeChoice,
+    themes: THEMES,
+    setTheme,
+    setEventTheme,
+  };
 }
+
+export { THEMES, DEFAULT_THEME, AUTO_THEME };
@@ -0,0 +1,178 @@
+import turf from 'turf';
+
+/**
+ * Build an elevation profile from 3D coordinates.
+ *
+ * Produces the same row shape as `parseElevationCsv`, so that playback
+ * stats and the elevation chart can consume either source:
+ *   lat, lon, ele, time, segment_distance_km, distance_km_cum,
+ *   segment_time_s, elev_delta_m, elev_gain_pos_m, elev_gain_pos_cum_m, slope_percent
+ *
+ * Distances are geodesic (turf.distance, km). Coordinates without a Z value
+ * are treated as elevation 0.
+ *
+ * @param {number[][]} coordinates - [lng, lat, ele?] positions along the route
+ * @param {string[]} [times] - Optional ISO 8601 timestamps aligned with `coordinates`
+ * @returns {Array<Object>} Profile rows with typed values
+ */
+export function buildElevationProfile(coordinates, times = []) {
+  if (!coordinates || coordinates.length === 0) return [];
+
+  const rows = [];
+  let distanceCum = 0;
+  let gainCum = 0;
+
+  coordinates.forEach((coord, i) => {
+    const ele = coord[2] ?? 0;
+    const time = times[i] || '';
+    let segmentKm = 0;
+    let segmentTime = 0;
+    let delta = 0;
+
+    if (i > 0) {
+      const prev = coordinates[i - 1];
+      segmentKm = turf.distance(turf.point([prev[0], prev[1]]), turf.point([coord[0], coord[1]]));
+      delta = ele - (prev[2] ?? 0);
+
+      const prevTime = Date.parse(times[i - 1]);
+      const currTime = Date.parse(time);
+      if (Number.isFinite(prevTime) && Number.isFinite(currTime)) {
+        segmentTime = Math.max(0, (currTime - prevTime) / 1000);
+      }
+    }
+
+    const gain = Math.max(0, delta);
+    distanceCum += segmentKm;
+    gainCum += gain;
+
+    rows.push({
+      lat: coord[1],
+      lon: coord[0],
+      ele: round(ele, 2),
+      time,
+      segment_distance_km: round(segmentKm, 6),
+      distance_km_cum: round(distanceCum, 6),
+      segment_time_s: segmentTime,
+      elev_delta_m: round(delta, 2),
+      elev_gain_pos_m: round(gain, 2),
+      elev_gain_pos_cum_m: round(gainCum, 2),
+      // Zero-length segments (duplicate points) have no meaningful grade
+      slope_percent: segmentKm > 0 ? round((delta / (segmentKm * 1000)) * 100, 2) : 0,
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Round to a fixed number of decimals, matching the precision of the CSV assets.
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Whether a coordinate list carries usable elevation: every position has a
+ * numeric Z value and at least one of them is non-zero (exporters often
+ * write 0 when elevation is unknown).
+ *
+ * @param {number[][]} coordinates - [lng, lat, ele?] positions
+ * @returns {boolean}
+ */
+export function hasElevation(coordinates) {
+  if (!coordinates || coordinates.length === 0) return false;
+  return coordinates.every(c => Number.isFinite(c[2]))
+    && coordinates.some(c => c[2] !== 0);
+}
+
+/**
+ * Linear interpolation of a numeric profile column at a distance.
+ * Distances outside the profile clamp to its first / last row.
+ *
+ * @param {Array<Object>} profile - Rows sorted by distance_km_cum
+ * @param {number} distanceKm
+ * @param {string} field - Column to interpolate, e.g. 'ele' or 'elev_gain_pos_cum_m'
+ * @returns {number}
+ */
+export function profileValueAt(profile, distanceKm, field) {
+  let lo = 0;
+  let hi = profile.length - 1;
+  if (distanceKm <= profile[lo].distance_km_cum) return profile[lo][field];
+  if (distanceKm >= profile[hi].distance_km_cum) return profile[hi][field];
+
+  // Binary search for the segment [lo, hi] containing distanceKm
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (profile[mid].distance_km_cum <= distanceKm) lo = mid;
+    else hi = mid;
+  }
+
+  const a = profile[lo];
+  const b = profile[hi];
+  const span = b.distance_km_cum - a.distance_km_cum;
+  const t = span > 0 ? (distanceKm - a.distance_km_cum) / span : 0;
+  return a[field] + (b[field] - a[field]) * t;
+}
+
+/**
+ * Linear interpolation of elevation at a distance along a profile.
+ * Distances outside the profile clamp to its first / last row.
+ *
+ * @param {Array<Object>} profile - Rows sorted by distance_km_cum
+ * @param {number} distanceKm
+ * @returns {number} Elevation in metres
+ */
+export function elevationAt(profile, distanceKm) {
+  return profileValueAt(profile, distanceKm, 'ele');
+}
+
+/**
+ * Average grade (percent) between two distances of an elevation profile.
+ * Measuring over a distance rather than per row keeps GPS / DEM noise in
+ * `slope_percent` out of the result.
+ *
+ * @param {Array<Object>} profile
+ * @param {number} fromKm
+ * @param {number} toKm
+ * @returns {number}
+ */
+export function gradeBetween(profile, fromKm, toKm) {
+  if (profile.length < 2 || toKm <= fromKm) return 0;
+  const rise = elevationAt(profile, toKm) - elevationAt(profile, fromKm);
+  return (rise / ((toKm - fromKm) * 1000)) * 100;
+}
+
+/**
+ * Resample a profile at a fixed step, with the grade of each step measured
+ * over its whole length (see gradeBetween).
+ *
+ * @param {Array<Object>} profile - Rows sorted by distance_km_cum
+ * @param {number} stepKm - Sample spacing in km
+ * @returns {Array<{ km: number, ele: number, gradePercent: number, gainCum: number }>}
+ *   One sample per step boundary (first at 0, last at the profile end).
+ *   `gradePercent` is the grade of the step ending at the sample (the first
+ *   sample repeats the first step's grade).
+ */
+export function sampleProfile(profile, stepKm) {
+  if (!profile || profile.length < 2) return [];
+  const totalKm = profile[profile.length - 1].distance_km_cum;
+  const count = Math.max(1, Math.ceil(totalKm / stepKm - 1e-9));
+
+  const samples = [];
+  for (let i = 0; i <= count; i++) {
+    const km = Math.min(totalKm, i * stepKm);
+    const prevKm = Math.max(0, (i - 1) * stepKm);
+    samples.push({
+      km,
+      ele: elevationAt(profile, km),
+      gradePercent: i === 0 ? 0 : gradeBetween(profile, prevKm, km),
+      gainCum: profileValueAt(profile, km, 'elev_gain_pos_cum_m'),
+    });
+  }
+  if (samples.length > 1) samples[0].gradePercent = samples[1].gradePercent;
+  return samples;
+}
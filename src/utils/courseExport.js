@@ -0,0 +1,265 @@
+/**
+ * courseExport — Serialises a route (pathData + elevation profile + marks)
+ * into course files that watches and training platforms can import.
+ *
+ * Supported formats:
+ *  - GPX 1.1  — track with `<ele>` plus a `<wpt>` per mark
+ *  - TCX      — Garmin course with course points for water, isotonic and KM marks
+ *  - KML 2.2  — LineString with altitude plus a Placemark per mark
+ *
+ * All functions are pure: they take plain data and return XML strings.
+ *
+ * @module courseExport
+ */
+
+import { cumulativeDistances, projectOnRoute } from '@/utils/routeGeometry';
+import { elevationAt } from '@/utils/buildElevationProfile';
+import { MARK_CATEGORY_MAP, markCategoriesOf } from '@/config/markCategories';
+import { t, localized } from '@/i18n';
+
+/**
+ * Nominal pace used to generate timestamps for TCX courses (seconds per km).
+ * Garmin requires a <Time> on every trackpoint; the device recomputes them
+ * from the athlete's own pace when following the course.
+ */
+const COURSE_PACE_S_PER_KM = 360;
+
+/** Maximum length of a TCX course point name (CoursePointName_t). */
+const TCX_NAME_MAX = 10;
+
+/**
+ * Download metadata per export format.
+ * @type {Record<string, { extension: string, mimeType: string }>}
+ */
+export const COURSE_FORMATS = {
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+  tcx: { extension: 'tcx', mimeType: 'application/vnd.garmin.tcx+xml' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+};
+
+/**
+ * Build the course point list: every route vertex with its cumulative
+ * distance and an elevation interpolated from the profile.
+ *
+ * The profile distance axis is rescaled to the line length so that both
+ * sources line up at the finish even if they were measured differently.
+ *
+ * @param {Object} lineFeature - GeoJSON LineString Feature (store.pathData.features[0])
+ * @param {Array<Object>} elevationProfile - Rows with distance_km_cum and ele
+ * @returns {Array<{ lng: number, lat: number, ele: number|null, distanceKm: number }>}
+ */
+export function buildCourse(lineFeature, elevationProfile = []) {
+  const coords = lineFeature.geometry.coordinates;
+  const distances = cumulativeDistances(coords);
+  const lineTotal = distances[distances.length - 1] || 1;
+  const profileTotal = elevationProfile.length > 0
+    ? elevationProfile[elevationProfile.length - 1].distance_km_cum
+    : 0;
+
+  return coords.map((coord, i) => ({
+    lng: coord[0],
+    lat: coord[1],
+    ele: profileTotal > 0
+      ? elevationAt(elevationProfile, (distances[i] / lineTotal) * profileTotal)
+      : null,
+    distanceKm: distances[i],
+  }));
+}
+
+/**
+ * Project marks onto the route and describe them as course points.
+ * Uncategorised marks (unlabelled geometry helpers) are skipped.
+ *
+ * @param {Object} lineFeature - GeoJSON LineString Feature
+ * @param {Object|null} marksData - Marks FeatureCollection
+ * @returns {Array<{ lng: number, lat: number, name: string, pointType: string, distanceKm: number }>}
+ */
+export function buildCoursePoints(lineFeature, marksData) {
+  if (!marksData || !marksData.features) return [];
+
+  return marksData.features
+    .filter(f => markCategoriesOf(f.properties).length > 0 && f.geometry?.type === 'Point')
+    .map((f) => {
+      const [lng, lat] = f.geometry.coordinates;
+      const { name, pointType } = describeMark(f.properties);
+      return {
+        lng,
+        lat,
+        name,
+        pointType,
+        distanceKm: projectOnRoute(lineFeature, [lng, lat]),
+      };
+    })
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Serialise a course to GPX 1.1.
+ *
+ * @param {string} name - Course name
+ * @param {Array<Object>} course - Output of buildCourse
+ * @param {Array<Object>} [coursePoints] - Output of buildCoursePoints
+ * @returns {string} GPX XML
+ */
+export function toGpx(name, course, coursePoints = []) {
+  const waypoints = coursePoints.map(p => [
+    `  <wpt lat="${p.lat}" lon="${p.lng}">`,
+    `    <name>${escapeXml(p.name)}</name>`,
+    `    <type>${escapeXml(p.pointType)}</type>`,
+    '  </wpt>',
+  ].join('\n'));
+
+  const trackpoints = course.map(p => (p.ele !== null
+    ? `      <trkpt lat="${p.lat}" lon="${p.lng}"><ele>${p.ele.toFixed(1)}</ele></trkpt>`
+    : `      <trkpt lat="${p.lat}" lon="${p.lng}"></trkpt>`));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="maraton-cali" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    '  </metadata>',
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trackpoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialise a course to a Garmin TCX course.
+ * Trackpoint and course point times follow COURSE_PACE_S_PER_KM from `startDate`.
+ *
+ * @param {string} name - Course name (TCX limits it to 15 characters)
+ * @param {Array<Object>} course - Output of buildCourse
+ * @param {Array<Object>} [coursePoints] - Output of buildCoursePoints
+ * @param {Date} [startDate] - Timestamp of the first trackpoint
+ * @returns {string} TCX XML
+ */
+export function toTcx(name, course, coursePoints = [], startDate = new Date()) {
+  const start = startDate.getTime();
+  const timeAt = km => new Date(start + km * COURSE_PACE_S_PER_KM * 1000).toISOString();
+  const last = course[course.length - 1];
+
+  const trackpoints = course.map(p => [
+    '        <Trackpoint>',
+    `          <Time>${timeAt(p.distanceKm)}</Time>`,
+    `          <Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lng}</LongitudeDegrees></Position>`,
+    p.ele !== null ? `          <AltitudeMeters>${p.ele.toFixed(1)}</AltitudeMeters>` : null,
+    `          <DistanceMeters>${(p.distanceKm * 1000).toFixed(1)}</DistanceMeters>`,
+    '        </Trackpoint>',
+  ].filter(Boolean).join('\n'));
+
+  const points = coursePoints.map(p => [
+    '      <CoursePoint>',
+    `        <Name>${escapeXml(p.name.slice(0, TCX_NAME_MAX))}</Name>`,
+    `        <Time>${timeAt(p.distanceKm)}</Time>`,
+    `        <Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lng}</LongitudeDegrees></Position>`,
+    `        <PointType>${p.pointType}</PointType>`,
+    '      </CoursePoint>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">',
+    '  <Courses>',
+    '    <Course>',
+    `      <Name>${escapeXml(name.slice(0, 15))}</Name>`,
+    '      <Lap>',
+    `        <TotalTimeSeconds>${Math.round(last.distanceKm * COURSE_PACE_S_PER_KM)}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${(last.distanceKm * 1000).toFixed(1)}</DistanceMeters>`,
+    `        <BeginPosition><LatitudeDegrees>${course[0].lat}</LatitudeDegrees><LongitudeDegrees>${course[0].lng}</LongitudeDegrees></BeginPosition>`,
+    `        <EndPosition><LatitudeDegrees>${last.lat}</LatitudeDegrees><LongitudeDegrees>${last.lng}</LongitudeDegrees></EndPosition>`,
+    '        <Intensity>Active</Intensity>',
+    '      </Lap>',
+    '      <Track>',
+    ...trackpoints,
+    '      </Track>',
+    ...points,
+    '    </Course>',
+    '  </Courses>',
+    '</TrainingCenterDatabase>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialise a course to KML 2.2.
+ *
+ * @param {string} name - Document name
+ * @param {Array<Object>} course - Output of buildCourse
+ * @param {Array<Object>} [coursePoints] - Output of buildCoursePoints
+ * @returns {string} KML XML
+ */
+export function toKml(name, course, coursePoints = []) {
+  const coordinates = course
+    .map(p => `${p.lng},${p.lat},${p.ele !== null ? p.ele.toFixed(1) : 0}`)
+    .join(' ');
+
+  const placemarks = coursePoints.map(p => [
+    '    <Placemark>',
+    `      <name>${escapeXml(p.name)}</name>`,
+    `      <Point><coordinates>${p.lng},${p.lat}</coordinates></Point>`,
+    '    </Placemark>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    '        <altitudeMode>clampToGround</altitudeMode>',
+    `        <coordinates>${coordinates}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+/* ── helpers ────────────────────────────────────────────────── */
+
+/**
+ * Derive a course point name and TCX PointType from mark properties.
+ * For combined signs ("km 5 + water") the service wins the PointType so
+ * watches announce the aid station; the label keeps the km.
+ *
+ * @param {Object} props - Mark GeoJSON properties
+ * @returns {{ name: string, pointType: string }}
+ */
+function describeMark(props) {
+  const categories = markCategoriesOf(props);
+  const service = categories.find(c => MARK_CATEGORY_MAP[c]?.tcxPointType !== 'Generic');
+  const primary = MARK_CATEGORY_MAP[service || categories[0]];
+  const label = localized(props.label);
+
+  return {
+    name: (label ? String(label).trim() : '') || (primary ? t(primary.labelKey) : props.name),
+    pointType: primary?.tcxPointType || 'Generic',
+  };
+}
+
+/**
+ * Escape the five XML special characters.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,114 @@
+/**
+ * Climb and descent detection on a resampled elevation profile.
+ *
+ * A climb starts at a low point and runs up to the highest point reached
+ * before the road drops more than DIP_TOLERANCE_M below it; short dips
+ * inside a long climb (a flat block, a bridge) don't split it. Descents are
+ * the same walk on the inverted profile. Only sections with enough gain and
+ * a steady enough grade are kept, then categorised by difficulty score
+ * (see config/climbCategories).
+ *
+ * @example
+ * import { detectClimbs } from '@/utils/detectClimbs';
+ * const climbs = detectClimbs(sampleProfile(profile, 0.1));
+ * // → [{ type: 'climb', startKm: 3.2, endKm: 4.1, gainM: 38, avgGrade: 4.2, … }]
+ */
+
+import { climbCategoryOf } from '@/config/climbCategories';
+
+/** Drop (m) below the running high point that ends a climb */
+const DIP_TOLERANCE_M = 6;
+
+/** Minimum elevation change (m) for a section to count */
+const MIN_GAIN_M = 10;
+
+/** Minimum average grade (%) for a section to count */
+const MIN_AVG_GRADE = 1;
+
+/** Flat run-in / run-out within this height (m) of the ends is trimmed off */
+const FLAT_TRIM_M = 1.5;
+
+/**
+ * Sections of `values` that rise steadily, as sample index pairs.
+ * @param {number[]} values - Elevation per sample (inverted for descents)
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function risingSections(values) {
+  const sections = [];
+  let start = 0;
+  let top = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[top]) {
+      top = i;
+    } else if (values[top] - values[i] > DIP_TOLERANCE_M) {
+      if (top > start) sections.push({ start, end: top });
+      start = i;
+      top = i;
+    }
+    // Below the start: whatever rose before is lost, restart from here
+    if (values[i] < values[start]) {
+      start = i;
+      top = i;
+    }
+  }
+  if (top > start) sections.push({ start, end: top });
+
+  // Start where the road leaves the low point, end where it reaches the top
+  for (const section of sections) {
+    const base = values[section.start];
+    const summit = values[section.end];
+    while (section.start < section.end && values[section.start + 1] <= base + FLAT_TRIM_M) section.start++;
+    while (section.end > section.start && values[section.end - 1] >= summit - FLAT_TRIM_M) section.end--;
+  }
+  return sections;
+}
+
+/**
+ * Detect the climbs and descents of a route.
+ *
+ * @param {Array<{ km: number, ele: number, gradePercent: number }>} samples -
+ *   Evenly spaced profile samples (utils/buildElevationProfile sampleProfile)
+ * @returns {Array<{
+ *   type: 'climb'|'descent', startKm: number, endKm: number, lengthKm: number,
+ *   gainM: number, avgGrade: number, maxGrade: number, category: Object
+ * }>} Sections in route order. `gainM` is the elevation change (positive for
+ *   both types); grades are absolute values.
+ */
+export function detectClimbs(samples) {
+  if (!samples || samples.length < 2) return [];
+
+  const sections = [];
+  const ele = samples.map(s => s.ele);
+
+  for (const type of ['climb', 'descent']) {
+    const values = type === 'climb' ? ele : ele.map(e => -e);
+    for (const { start, end } of risingSections(values)) {
+      const startKm = samples[start].km;
+      const endKm = samples[end].km;
+      const lengthKm = endKm - startKm;
+      const gainM = values[end] - values[start];
+      const avgGrade = (gainM / (lengthKm * 1000)) * 100;
+      if (gainM < MIN_GAIN_M || avgGrade < MIN_AVG_GRADE) continue;
+
+      const sign = type === 'climb' ? 1 : -1;
+      let maxGrade = 0;
+      for (let i = start + 1; i <= end; i++) {
+        maxGrade = Math.max(maxGrade, sign * samples[i].gradePercent);
+      }
+
+      sections.push({
+        type,
+        startKm,
+        endKm,
+        lengthKm,
+        gainM,
+        avgGrade,
+        maxGrade,
+        category: climbCategoryOf(gainM * avgGrade),
+      });
+    }
+  }
+
+  return sections.sort((a, b) => a.startKm - b.startKm);
+}
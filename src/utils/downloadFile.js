@@ -0,0 +1,17 @@
+/**
+ * Trigger a browser download for in-memory content.
+ *
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
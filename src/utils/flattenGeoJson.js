@@ -10,10 +10,15 @@
  * Any feature whose geometry cannot be mapped to a LineString or Point is
  * silently discarded so downstream code only ever receives clean features.
  *
+ * Pass `{ keepZ: true }` to normalise geometry types while preserving the
+ * elevation value, e.g. to derive an elevation profile from the route.
+ *
  * @param {Object} geojson - A GeoJSON FeatureCollection (or single Feature)
- * @returns {Object} A new FeatureCollection with flat 2D geometries
+ * @param {Object} [options]
+ * @param {boolean} [options.keepZ=false] - Keep [lng, lat, z] coordinates
+ * @returns {Object} A new FeatureCollection with flat (2D unless keepZ) geometries
  */
-export function flattenGeoJson(geojson) {
+export function flattenGeoJson(geojson, { keepZ = false } = {}) {
   // Accept a bare Feature by wrapping it
   const features =
     geojson.type === 'FeatureCollection'
@@ -23,6 +28,7 @@ export function flattenGeoJson(geojson) {
         : [];
 
   const flatFeatures = [];
+  const mapCoord = keepZ ? copyCoord : stripZ;
 
   for (const feature of features) {
     const { geometry, properties, ...rest } = feature;
@@ -37,7 +43,7 @@ export function flattenGeoJson(geojson) {
           properties: properties || {},
           geometry: {
             type: 'LineString',
-            coordinates: geometry.coordinates.map(stripZ),
+            coordinates: geometry.coordinates.map(mapCoord),
           },
         });
         break;
@@ -50,7 +56,7 @@ export function flattenGeoJson(geojson) {
           properties: properties || {},
           geometry: {
             type: 'LineString',
-            coordinates: geometry.coordinates.flat().map(stripZ),
+            coordinates: geometry.coordinates.flat().map(mapCoord),
           },
         });
         break;
@@ -63,7 +69,7 @@ export function flattenGeoJson(geojson) {
           properties: properties || {},
           geometry: {
             type: 'Point',
-            coordinates: stripZ(geometry.coordinates),
+            coordinates: mapCoord(geometry.coordinates),
           },
         });
         break;
@@ -76,7 +82,7 @@ export function flattenGeoJson(geojson) {
             properties: properties || {},
             geometry: {
               type: 'Point',
-              coordinates: stripZ(coord),
+              coordinates: mapCoord(coord),
             },
           });
         }
@@ -102,3 +108,12 @@ export function flattenGeoJson(geojson) {
 function stripZ(coord) {
   return [coord[0], coord[1]];
 }
+
+/**
+ * Copy a coordinate, keeping the Z value when present (M values are dropped).
+ * @param {number[]} coord - [lng, lat] or [lng, lat, z]
+ * @returns {number[]} [lng, lat] or [lng, lat, z]
+ */
+function copyCoord(coord) {
+  return coord.length > 2 ? [coord[0], coord[1], coord[2]] : [coord[0], coord[1]];
+}
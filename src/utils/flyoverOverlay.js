@@ -0,0 +1,199 @@
+/**
+ * Canvas versions of the RaceTitle and PlayBack overlays, painted over each
+ * frame of an exported flyover video (the DOM overlays and the HTML head
+ * markers are not part of the map canvas).
+ *
+ * Sizes are designed for a 1080 px tall frame and scaled from there.
+ *
+ * @example
+ * import { drawFlyoverOverlay, overlayPalette } from '@/utils/flyoverOverlay';
+ * const palette = overlayPalette(getComputedStyle(document.documentElement));
+ * drawFlyoverOverlay(ctx, frame, palette);
+ */
+
+import tokens from '@/theme/tokens';
+import {
+  t, formatNumber, formatDistance, formatElevation,
+} from '@/i18n';
+
+/** Frame height the overlay sizes are designed for */
+const DESIGN_HEIGHT = 1080;
+
+/**
+ * Overlay colours and font from the active theme's CSS custom properties.
+ * @param {CSSStyleDeclaration} style - Computed style of the document element
+ * @returns {Object} Palette for drawFlyoverOverlay
+ */
+export function overlayPalette(style) {
+  const v = name => style.getPropertyValue(name).trim();
+  return {
+    panel: v('--color-bg-glass') || 'rgba(20, 20, 20, 0.75)',
+    border: v('--color-border-subtle') || 'rgba(255, 255, 255, 0.12)',
+    text: v('--color-text') || '#ffffff',
+    accent: v('--color-accent') || tokens.colors.brand.accent,
+    accentDark: v('--color-accent-dark') || tokens.colors.brand.accentDark,
+    track: v('--color-progress-track') || 'rgba(255, 255, 255, 0.15)',
+    font: v('--font-family') || 'sans-serif',
+    head: tokens.colors.route.head,
+    ghost: tokens.colors.route.ghost,
+  };
+}
+
+/** Rounded rectangle path */
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+/** Glass panel like the DOM overlays */
+function panel(ctx, x, y, w, h, r, palette) {
+  roundRect(ctx, x, y, w, h, r);
+  ctx.fillStyle = palette.panel;
+  ctx.fill();
+  ctx.strokeStyle = palette.border;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+}
+
+/** Route head dot (same look as the HTML marker) */
+function headDot(ctx, point, radius, color) {
+  ctx.beginPath();
+  ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = radius / 7.5;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+}
+
+/** Title card (RaceTitle): type badge, city and route name */
+function drawTitle(ctx, frame, palette, s) {
+  const x = 24 * s;
+  const y = 24 * s;
+  ctx.font = `700 ${34 * s}px ${palette.font}`;
+  const w = Math.max(ctx.measureText(frame.title.name).width + 40 * s, 260 * s);
+  panel(ctx, x, y, w, 108 * s, 16 * s, palette);
+
+  ctx.textBaseline = 'top';
+  ctx.font = `700 ${15 * s}px ${palette.font}`;
+  const badgeW = ctx.measureText(frame.title.type).width + 20 * s;
+  roundRect(ctx, x + 20 * s, y + 18 * s, badgeW, 24 * s, 4 * s);
+  ctx.fillStyle = palette.accent;
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(frame.title.type, x + 30 * s, y + 23 * s);
+
+  ctx.fillStyle = palette.text;
+  ctx.font = `600 ${15 * s}px ${palette.font}`;
+  ctx.fillText(frame.title.city, x + 30 * s + badgeW, y + 23 * s);
+
+  ctx.font = `700 ${34 * s}px ${palette.font}`;
+  ctx.fillText(frame.title.name, x + 20 * s, y + 56 * s);
+}
+
+/** Playback bar (PlayBack): elevation chart with progress and stats */
+function drawPlayback(ctx, frame, palette, s) {
+  const w = Math.min(frame.width - 48 * s, 1100 * s);
+  const h = 120 * s;
+  const x = (frame.width - w) / 2;
+  const y = frame.height - h - 32 * s;
+  panel(ctx, x, y, w, h, 16 * s, palette);
+
+  // Stats
+  const stats = [
+    [t('playback.distance'), formatDistance(frame.distanceKm)],
+    [t('playback.elevation'), formatElevation(frame.elevation)],
+    [t('playback.grade'), `${formatNumber(frame.gradePercent, 1, { signDisplay: 'always' })}%`],
+  ];
+  const statsW = 150 * s;
+  ctx.textBaseline = 'top';
+  stats.forEach(([label, value], i) => {
+    const sx = x + w - statsW * (stats.length - i) - 8 * s;
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = palette.text;
+    ctx.font = `600 ${13 * s}px ${palette.font}`;
+    ctx.fillText(label.toLocaleUpperCase(), sx, y + 36 * s);
+    ctx.globalAlpha = 1;
+    ctx.font = `700 ${26 * s}px ${palette.font}`;
+    ctx.fillText(value, sx, y + 56 * s);
+  });
+
+  // Elevation chart
+  const cx = x + 24 * s;
+  const cw = w - statsW * stats.length - 48 * s;
+  const cy = y + 20 * s;
+  const ch = h - 52 * s;
+  const points = frame.profile;
+  if (points.length > 1 && cw > 0) {
+    const minEle = Math.min(...points.map(p => p.ele));
+    const maxEle = Math.max(...points.map(p => p.ele));
+    const px = km => cx + (km / frame.totalKm) * cw;
+    const py = ele => cy + ch - ((ele - minEle) / (maxEle - minEle || 1)) * ch;
+
+    ctx.beginPath();
+    ctx.moveTo(px(points[0].km), cy + ch);
+    points.forEach(p => ctx.lineTo(px(p.km), py(p.ele)));
+    ctx.lineTo(px(points[points.length - 1].km), cy + ch);
+    ctx.closePath();
+    ctx.fillStyle = palette.track;
+    ctx.fill();
+
+    // Covered part in the accent gradient
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(cx, cy, cw * frame.progress, ch);
+    ctx.clip();
+    const gradient = ctx.createLinearGradient(cx, 0, cx + cw, 0);
+    gradient.addColorStop(0, palette.accent);
+    gradient.addColorStop(1, palette.accentDark);
+    ctx.beginPath();
+    ctx.moveTo(px(points[0].km), cy + ch);
+    points.forEach(p => ctx.lineTo(px(p.km), py(p.ele)));
+    ctx.lineTo(px(points[points.length - 1].km), cy + ch);
+    ctx.closePath();
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Progress bar
+  roundRect(ctx, cx, y + h - 22 * s, cw, 4 * s, 2 * s);
+  ctx.fillStyle = palette.track;
+  ctx.fill();
+  roundRect(ctx, cx, y + h - 22 * s, Math.max(cw * frame.progress, 4 * s), 4 * s, 2 * s);
+  ctx.fillStyle = palette.accent;
+  ctx.fill();
+}
+
+/**
+ * Paint the overlays of one video frame.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame
+ * @param {number} frame.width - Frame width in px
+ * @param {number} frame.height - Frame height in px
+ * @param {{ name: string, type: string, city: string }} frame.title
+ * @param {number} frame.distanceKm - Distance of the route head
+ * @param {number} frame.totalKm - Route length
+ * @param {number} frame.elevation - Elevation at the head (m)
+ * @param {number} frame.gradePercent - Grade at the head
+ * @param {number} frame.progress - Route fraction of the head (0–1)
+ * @param {Array<{ km: number, ele: number }>} frame.profile - Elevation profile to chart
+ * @param {{ x: number, y: number }|null} frame.head - Route head in frame px
+ * @param {{ x: number, y: number }|null} frame.ghostHead - Ghost head in frame px
+ * @param {Object} palette - From overlayPalette
+ */
+export function drawFlyoverOverlay(ctx, frame, palette) {
+  const s = Math.min(frame.width, frame.height) / DESIGN_HEIGHT;
+
+  if (frame.ghostHead) headDot(ctx, frame.ghostHead, 15 * s, palette.ghost);
+  if (frame.head) headDot(ctx, frame.head, 15 * s, palette.head);
+
+  drawTitle(ctx, frame, palette, s);
+  drawPlayback(ctx, frame, palette, s);
+}
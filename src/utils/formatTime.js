@@ -0,0 +1,90 @@
+/**
+ * Time formatting and parsing helpers shared by playback stats, the pace
+ * planner and live tracking.
+ *
+ * @module formatTime
+ */
+
+/**
+ * Format a duration as a race clock, e.g. 13505 → "03:45:05".
+ * @param {number} totalSeconds
+ * @returns {string} HH:MM:SS
+ */
+export function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return [
+    String(h).padStart(2, '0'),
+    String(m).padStart(2, '0'),
+    String(s).padStart(2, '0'),
+  ].join(':');
+}
+
+/**
+ * Format a pace or split duration in minutes and seconds, e.g. 320 → "5:20".
+ * @param {number} seconds
+ * @returns {string} M:SS
+ */
+export function formatPace(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format the time of day reached `elapsedSeconds` after a start time,
+ * e.g. ("05:30", 13505) → "09:15". Wraps past midnight.
+ *
+ * @param {string} startTime - Start time of day as "HH:MM"
+ * @param {number} elapsedSeconds
+ * @returns {string} HH:MM, or '' when `startTime` is not set
+ */
+export function formatClockTime(startTime, elapsedSeconds) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(startTime || '');
+  if (!match) return '';
+  const startMinutes = Number(match[1]) * 60 + Number(match[2]);
+  const minutes = Math.floor(startMinutes + elapsedSeconds / 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format an epoch timestamp as a local time of day, e.g. "09:15".
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} HH:MM
+ */
+export function formatTimeOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a goal time typed by a runner: "h:mm:ss" or "h:mm"
+ * ("3:45:00", "3:45" and "0:52:30" are all valid).
+ *
+ * @param {string} text
+ * @returns {number|null} Duration in seconds, or null when invalid / zero
+ */
+export function parseDuration(text) {
+  const parts = String(text || '').trim().split(':');
+  if (parts.length < 2 || parts.length > 3 || !parts.every(p => /^\d+$/.test(p))) return null;
+
+  const [h, m, s = 0] = parts.map(Number);
+  if (m >= 60 || s >= 60) return null;
+
+  const seconds = h * 3600 + m * 60 + s;
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Parse a pace typed by a runner: "m:ss" ("5:30", "12:05").
+ *
+ * @param {string} text
+ * @returns {number|null} Seconds per km (or per mile), or null when invalid / zero
+ */
+export function parsePace(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match || Number(match[2]) >= 60) return null;
+  const seconds = Number(match[1]) * 60 + Number(match[2]);
+  return seconds > 0 ? seconds : null;
+}
@@ -0,0 +1,200 @@
+/**
+ * ghostTrack — Analyses a recorded activity (timestamped GPX) against the
+ * official course for ghost-runner mode.
+ *
+ * Every recorded point is projected onto the course line, giving for each
+ * elapsed second how far along the course the athlete was and how far they
+ * were from the certified line. Runs of points further than OFF_COURSE_M
+ * from the line become "off-course" segments.
+ *
+ * Projection uses a local equirectangular approximation (metres), which is
+ * accurate to well under a metre at race scale and cheap enough to run on
+ * every point of a multi-hour recording. The search is windowed around the
+ * previous match so out-and-back courses don't snap to the opposite leg.
+ *
+ * All functions are pure.
+ *
+ * @module ghostTrack
+ */
+
+import { buildCourseModel, nearestOnCourse } from '@/utils/routeGeometry';
+import { t } from '@/i18n';
+
+/** Distance from the course line (m) above which a point is off course. */
+export const OFF_COURSE_M = 30;
+
+/** Off-course runs shorter than this (m of recorded path) are GPS noise. */
+const MIN_OFF_COURSE_LENGTH_M = 50;
+
+/** Course window searched around the previous match (km behind / ahead). */
+const SEARCH_BACK_KM = 0.5;
+const SEARCH_AHEAD_KM = 3;
+
+/**
+ * Index of the first course vertex at or beyond `metres`.
+ * @param {number[]} cumM
+ * @param {number} metres
+ * @returns {number}
+ */
+function vertexAt(cumM, metres) {
+  let lo = 0;
+  let hi = cumM.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumM[mid] < metres) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Analyse a recorded track against the course.
+ *
+ * @param {Object} lineFeature - Course GeoJSON LineString Feature (store.pathData.features[0])
+ * @param {Object} trackFeature - Recorded LineString Feature from parseGpx
+ *   (3D coordinates, `properties.times` ISO timestamps)
+ * @returns {{
+ *   coordinates: number[][],
+ *   elapsed: number[],
+ *   fractions: number[],
+ *   offsets: number[],
+ *   totalSeconds: number,
+ *   offCourse: Array<{ startSeconds: number, endSeconds: number, fraction: number, lengthM: number, maxOffsetM: number, coordinates: number[][] }>
+ * }} Per-point elapsed seconds, course fraction (0–1) and offset (m), plus off-course segments
+ * @throws {Error} When the track has no usable timestamps
+ */
+export function buildGhostTrack(lineFeature, trackFeature) {
+  const times = trackFeature.properties?.times || [];
+
+  // Keep timestamped points only, in non-decreasing time order
+  const coordinates = [];
+  const elapsed = [];
+  let t0 = null;
+  trackFeature.geometry.coordinates.forEach((coord, i) => {
+    const t = Date.parse(times[i]);
+    if (!Number.isFinite(t)) return;
+    if (t0 === null) t0 = t;
+    const seconds = (t - t0) / 1000;
+    if (elapsed.length > 0 && seconds < elapsed[elapsed.length - 1]) return;
+    coordinates.push([coord[0], coord[1]]);
+    elapsed.push(seconds);
+  });
+
+  const totalSeconds = elapsed.length > 0 ? elapsed[elapsed.length - 1] : 0;
+  if (coordinates.length < 2 || totalSeconds <= 0) {
+    throw new Error(t('errors.gpxNoTime'));
+  }
+
+  // Project every point onto the course
+  const course = buildCourseModel(lineFeature.geometry.coordinates);
+  const segmentCount = course.xy.length - 1;
+  const fractions = new Array(coordinates.length);
+  const offsets = new Array(coordinates.length);
+  let prevAlongM = null;
+
+  coordinates.forEach((coord, i) => {
+    const p = course.toXY(coord);
+    let match;
+    if (prevAlongM === null) {
+      match = nearestOnCourse(course, p, 0, segmentCount);
+    } else {
+      const from = Math.max(0, vertexAt(course.cumM, prevAlongM - SEARCH_BACK_KM * 1000) - 1);
+      const to = Math.min(segmentCount, vertexAt(course.cumM, prevAlongM + SEARCH_AHEAD_KM * 1000) + 1);
+      match = nearestOnCourse(course, p, from, to);
+      // Lost the window (e.g. GPS gap): accept a global match only if it is on course
+      if (match.offsetM > OFF_COURSE_M) {
+        const global = nearestOnCourse(course, p, 0, segmentCount);
+        if (global.offsetM <= OFF_COURSE_M) match = global;
+      }
+    }
+    prevAlongM = match.alongM;
+    fractions[i] = match.alongM / course.totalM;
+    offsets[i] = match.offsetM;
+  });
+
+  return {
+    coordinates,
+    elapsed,
+    fractions,
+    offsets,
+    totalSeconds,
+    offCourse: findOffCourse(course, coordinates, elapsed, fractions, offsets),
+  };
+}
+
+/**
+ * Group consecutive off-course points into segments. Each segment includes
+ * the on-course points on either side so it joins the line when drawn.
+ *
+ * @returns {Array<Object>} See buildGhostTrack
+ */
+function findOffCourse(course, coordinates, elapsed, fractions, offsets) {
+  const segments = [];
+  let i = 0;
+
+  while (i < coordinates.length) {
+    if (offsets[i] <= OFF_COURSE_M) {
+      i++;
+      continue;
+    }
+
+    const start = Math.max(0, i - 1);
+    let maxOffsetM = 0;
+    while (i < coordinates.length && offsets[i] > OFF_COURSE_M) {
+      maxOffsetM = Math.max(maxOffsetM, offsets[i]);
+      i++;
+    }
+    const end = Math.min(coordinates.length - 1, i);
+
+    let lengthM = 0;
+    for (let j = start + 1; j <= end; j++) {
+      const a = course.toXY(coordinates[j - 1]);
+      const b = course.toXY(coordinates[j]);
+      lengthM += Math.hypot(b[0] - a[0], b[1] - a[1]);
+    }
+
+    if (lengthM >= MIN_OFF_COURSE_LENGTH_M) {
+      segments.push({
+        startSeconds: elapsed[start],
+        endSeconds: elapsed[end],
+        fraction: fractions[start],
+        lengthM,
+        maxOffsetM,
+        coordinates: coordinates.slice(start, end + 1),
+      });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Ghost state at an elapsed time, interpolated between recorded points.
+ *
+ * @param {Object} ghost - Output of buildGhostTrack
+ * @param {number} seconds - Elapsed race time
+ * @returns {{ lngLat: [number, number], fraction: number, offsetM: number }}
+ */
+export function ghostStateAt(ghost, seconds) {
+  const { coordinates, elapsed, fractions, offsets } = ghost;
+  let lo = 0;
+  let hi = elapsed.length - 1;
+  if (seconds <= elapsed[lo]) hi = lo;
+  else if (seconds >= elapsed[hi]) lo = hi;
+
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (elapsed[mid] <= seconds) lo = mid;
+    else hi = mid;
+  }
+
+  const span = elapsed[hi] - elapsed[lo];
+  const t = span > 0 ? (seconds - elapsed[lo]) / span : 0;
+  const a = coordinates[lo];
+  const b = coordinates[hi];
+  return {
+    lngLat: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+    fraction: fractions[lo] + (fractions[hi] - fractions[lo]) * t,
+    offsetM: offsets[lo] + (offsets[hi] - offsets[lo]) * t,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * liveTracking — Live position fixes snapped onto the route.
+ *
+ * Each fix from the tracking feed is projected onto the route line with the
+ * same logic useMarkers uses for marks (turf.pointOnLine +
+ * distanceAlongRoute). A runner keeps a short trail of snapped positions and
+ * a rolling window of (time, distance) samples from which their current
+ * speed — and so their estimated finish time — is derived.
+ *
+ * All functions are pure: runner states are replaced, never mutated.
+ *
+ * @module liveTracking
+ */
+
+import turf from 'turf';
+import { distanceAlongRoute } from '@/utils/routeGeometry';
+
+/** Seconds of history used for the current-speed estimate */
+export const PACE_WINDOW_S = 120;
+
+/** Snapped positions kept per runner for the map trail */
+const TRAIL_MAX_POINTS = 120;
+
+/**
+ * Backwards movement (km) accepted before a fix is treated as GPS noise.
+ * Larger drops are ignored so a runner never "un-runs" the course.
+ */
+const BACKTRACK_TOLERANCE_KM = 0.05;
+
+/** Minimum window span (s) for a speed estimate */
+const MIN_SPEED_SPAN_S = 10;
+
+/**
+ * Validate a feed message.
+ *
+ * @param {string} data - Raw WebSocket message
+ * @returns {{ bib: string, lngLat: [number, number], timestamp: number }|null}
+ *   The fix, or null when the message is malformed
+ */
+export function parseTrackingMessage(data) {
+  let msg;
+  try {
+    msg = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  const lat = Number(msg?.lat);
+  const lng = Number(msg?.lng);
+  const timestamp = typeof msg?.timestamp === 'string' ? Date.parse(msg.timestamp) : Number(msg?.timestamp);
+  if (msg?.bib == null || !Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isFinite(timestamp)) {
+    return null;
+  }
+  return { bib: String(msg.bib), lngLat: [lng, lat], timestamp };
+}
+
+/**
+ * Apply a fix to a runner's state.
+ *
+ * @param {Object|null} runner - Previous state of this bib (null for a new runner)
+ * @param {{ bib: string, lngLat: [number, number], timestamp: number }} fix
+ * @param {Object} lineFeature - GeoJSON LineString Feature (the route)
+ * @param {number} totalDistance - Route length in km
+ * @returns {{
+ *   bib: string,
+ *   lngLat: [number, number],
+ *   distanceKm: number,
+ *   timestamp: number,
+ *   trail: Array<[number, number]>,
+ *   samples: Array<[number, number]>,
+ *   speedKmh: number|null,
+ *   etaTimestamp: number|null,
+ *   finished: boolean
+ * }} New runner state (the previous one is returned unchanged for stale or backtracking fixes)
+ */
+export function applyFix(runner, fix, lineFeature, totalDistance) {
+  if (runner && (runner.finished || fix.timestamp <= runner.timestamp)) return runner;
+
+  const snapped = turf.pointOnLine(lineFeature, turf.point(fix.lngLat));
+  const alongKm = Math.min(totalDistance, distanceAlongRoute(lineFeature, snapped));
+
+  if (runner && alongKm < runner.distanceKm - BACKTRACK_TOLERANCE_KM) return runner;
+  const distanceKm = runner ? Math.max(runner.distanceKm, alongKm) : alongKm;
+  const lngLat = snapped.geometry.coordinates;
+
+  // Samples inside the window; the previous one is always kept so sparse
+  // feeds (one fix every few minutes) still yield a speed
+  const previous = runner ? runner.samples : [];
+  const samples = previous
+    .filter(([t], i) => i === previous.length - 1 || fix.timestamp - t <= PACE_WINDOW_S * 1000)
+    .concat([[fix.timestamp, distanceKm]]);
+  const trail = (runner ? runner.trail : []).concat([lngLat]).slice(-TRAIL_MAX_POINTS);
+
+  const [t0, d0] = samples[0];
+  const spanS = (fix.timestamp - t0) / 1000;
+  const speedKmh = spanS >= MIN_SPEED_SPAN_S && distanceKm > d0
+    ? ((distanceKm - d0) / spanS) * 3600
+    : (runner?.speedKmh ?? null);
+
+  const finished = distanceKm >= totalDistance - BACKTRACK_TOLERANCE_KM;
+  let etaTimestamp = null;
+  if (finished) {
+    etaTimestamp = fix.timestamp;
+  } else if (speedKmh) {
+    etaTimestamp = Math.round(fix.timestamp + ((totalDistance - distanceKm) / speedKmh) * 3600 * 1000);
+  }
+
+  return {
+    bib: fix.bib,
+    lngLat,
+    distanceKm,
+    timestamp: fix.timestamp,
+    trail,
+    samples,
+    speedKmh,
+    etaTimestamp,
+    finished,
+  };
+}
+
+/**
+ * Live runners sorted by distance covered (finishers first, by arrival).
+ *
+ * @param {Record<string, Object>} runners - Runner states keyed by bib
+ * @returns {Array<Object>}
+ */
+export function liveStandings(runners) {
+  return Object.values(runners).sort((a, b) => {
+    if (a.finished && b.finished) return a.timestamp - b.timestamp;
+    if (a.finished !== b.finished) return a.finished ? -1 : 1;
+    return b.distanceKm - a.distanceKm;
+  });
+}
@@ -0,0 +1,146 @@
+import turf from 'turf';
+import { parseElevationCsv } from '@/utils/parseElevationCsv';
+import { flattenGeoJson } from '@/utils/flattenGeoJson';
+import { buildElevationProfile, hasElevation } from '@/utils/buildElevationProfile';
+import { eventAssetPath } from '@/config/events';
+
+/**
+ * Per-route assets of every event, keyed by path
+ * (e.g. '../assets/events/cali-2026/elevation/10k.csv').
+ * Globbed lazily so only the selected route is fetched. The route GeoJSON is
+ * required; the elevation CSV and the marks file are loaded when they exist.
+ */
+const ROUTE_MODULES = import.meta.glob('../assets/events/*/routes/*.geojson', { import: 'default' });
+const ELEVATION_CSV_MODULES = import.meta.glob('../assets/events/*/elevation/*.csv', { query: '?raw', import: 'default' });
+const MARKS_MODULES = import.meta.glob('../assets/events/*/marks/*.geojson', { import: 'default' });
+const TOUR_MODULES = import.meta.glob('../assets/events/*/tour/*.json', { import: 'default' });
+
+/** Photos and audio of the guided tours, resolved to URLs at build time */
+const TOUR_MEDIA_MODULES = import.meta.glob(
+  '../assets/events/*/tour/*.{jpg,jpeg,png,webp,mp3,ogg,m4a}',
+  { eager: true, query: '?url', import: 'default' },
+);
+
+/**
+ * Load an optional asset from a lazy glob map.
+ * @param {Record<string, Function>} modules - Result of import.meta.glob
+ * @param {string} path - Glob key of the asset
+ * @returns {Promise<*>} Module default export, or null when the file does not exist
+ */
+function loadOptionalAsset(modules, path) {
+  const loader = modules[path];
+  return loader ? loader() : Promise.resolve(null);
+}
+
+/**
+ * Resolve a tour media reference: a file name in the event's `tour/` folder,
+ * or an absolute URL used as is.
+ * @param {string} eventId
+ * @param {string|undefined} ref
+ * @returns {string|null}
+ */
+function resolveTourMedia(eventId, ref) {
+  if (!ref) return null;
+  if (/^https?:\/\//.test(ref)) return ref;
+  return TOUR_MEDIA_MODULES[eventAssetPath(eventId, 'tour', ref)] ?? null;
+}
+
+/**
+ * Guided tour chapters of a route with their media resolved.
+ * @param {string} eventId
+ * @param {Object|null} tour - Parsed `tour/<routeId>.json` ({ chapters: [...] })
+ * @returns {Array<Object>} Chapters as authored, `photo` / `audio` as URLs
+ */
+function tourChapters(eventId, tour) {
+  return (tour?.chapters || []).map(chapter => ({
+    ...chapter,
+    photo: resolveTourMedia(eventId, chapter.photo),
+    audio: resolveTourMedia(eventId, chapter.audio),
+  }));
+}
+
+/**
+ * Whether an event ships a route GeoJSON for `routeId`.
+ * @param {string} eventId
+ * @param {string} routeId
+ * @returns {boolean}
+ */
+export function hasRouteAssets(eventId, routeId) {
+  return Boolean(ROUTE_MODULES[eventAssetPath(eventId, 'routes', `${routeId}.geojson`)]);
+}
+
+/**
+ * Load only the 2D line of an event route (e.g. for thumbnails).
+ * @param {string} eventId
+ * @param {string} routeId
+ * @returns {Promise<Object|null>} LineString Feature, or null when the event
+ *   has no GeoJSON for the route
+ */
+export async function loadRouteLine(eventId, routeId) {
+  const loader = ROUTE_MODULES[eventAssetPath(eventId, 'routes', `${routeId}.geojson`)];
+  if (!loader) return null;
+  return flattenGeoJson(await loader())
+    .features.find(f => f.geometry.type === 'LineString') ?? null;
+}
+
+/**
+ * Load and normalise the assets of an event route (geojson, elevation CSV,
+ * marks, guided tour).
+ *
+ * The elevation profile is derived from the route geometry when its
+ * coordinates carry Z values; otherwise `elevation/<id>.csv` is used if
+ * present. Marks and the tour (`tour/<id>.json`) are optional.
+ *
+ * @param {string} eventId - Event owning the route
+ * @param {string} routeId - Route id (file name under `routes/`)
+ * @returns {Promise<{
+ *   lineFeature: Object|null,
+ *   marksData: Object|null,
+ *   elevationProfile: Array<Object>,
+ *   totalDistance: number,
+ *   tourChapters: Array<Object>
+ * }>} Flat 2D route line, marks FeatureCollection, profile rows, length in km
+ *   and tour chapters (empty when the route has no tour)
+ */
+export async function loadRouteAssets(eventId, routeId) {
+  const [rawGeojson, csvText, marksData, tour] = await Promise.all([
+    ROUTE_MODULES[eventAssetPath(eventId, 'routes', `${routeId}.geojson`)](),
+    loadOptionalAsset(ELEVATION_CSV_MODULES, eventAssetPath(eventId, 'elevation', `${routeId}.csv`)),
+    loadOptionalAsset(MARKS_MODULES, eventAssetPath(eventId, 'marks', `${routeId}.geojson`)),
+    loadOptionalAsset(TOUR_MODULES, eventAssetPath(eventId, 'tour', `${routeId}.json`)),
+  ]);
+
+  // 3D route line (if any) — read before flattening discards Z
+  const line3d = flattenGeoJson(rawGeojson, { keepZ: true })
+    .features.find(f => f.geometry.type === 'LineString');
+
+  // Flatten GeoJSON: strip Z (elevation) values from coordinates and
+  // normalise MultiLineString → LineString so Mapbox only receives 2D data.
+  const lineFeature = flattenGeoJson(rawGeojson)
+    .features.find(f => f.geometry.type === 'LineString') ?? null;
+
+  // Elevation profile: route geometry first, CSV as fallback
+  let elevationProfile = [];
+  if (line3d && hasElevation(line3d.geometry.coordinates)) {
+    elevationProfile = buildElevationProfile(line3d.geometry.coordinates);
+  } else if (csvText) {
+    elevationProfile = parseElevationCsv(csvText);
+  }
+
+  // Total distance from the last profile point (or the line itself
+  // when the route has no elevation data at all)
+  let totalDistance = 0;
+  if (elevationProfile.length > 0) {
+    totalDistance = elevationProfile[elevationProfile.length - 1].distance_km_cum;
+  } else if (lineFeature) {
+    totalDistance = turf.lineDistance(lineFeature);
+  }
+
+  return {
+    lineFeature,
+    marksData,
+    elevationProfile,
+    totalDistance,
+    tourChapters: tourChapters(eventId, tour),
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * pacePlan — Turns a goal finish time into an elevation-aware race plan.
+ *
+ * The route is cut into PLAN_STEP_KM steps; each step costs its length times
+ * a grade factor (uphill slower, moderate downhill faster). The goal time is
+ * spread over the total cost, so flat kilometres run at the same pace and
+ * climbs / descents absorb the difference while the finish time stays exact.
+ *
+ * Grades are measured over whole steps (not per profile row) so GPS / DEM
+ * noise in `slope_percent` does not add phantom climbing.
+ *
+ * All functions are pure.
+ *
+ * @module pacePlan
+ */
+
+import { gradeBetween } from '@/utils/buildElevationProfile';
+import { projectOnRoute } from '@/utils/routeGeometry';
+import { markCategoriesOf } from '@/config/markCategories';
+
+/** Resolution of the plan (km). */
+const PLAN_STEP_KM = 0.1;
+
+/** Extra time per +1 % of grade when climbing (3.3 %). */
+const UPHILL_COST_PER_PERCENT = 0.033;
+
+/** Time saved per -1 % of grade when descending (1.8 %). */
+const DOWNHILL_GAIN_PER_PERCENT = 0.018;
+
+/**
+ * Steepest grade that still helps; beyond it runners brake and the
+ * benefit shrinks back at the same rate.
+ */
+const DOWNHILL_OPTIMUM_PERCENT = -10;
+
+/** Grades are clamped to ±MAX_GRADE_PERCENT before applying the model. */
+const MAX_GRADE_PERCENT = 20;
+
+/**
+ * A final split shorter than this (km) is merged into the previous one,
+ * so a 10.004 km route yields 10 splits, not 11.
+ */
+const MIN_LAST_SPLIT_KM = 0.01;
+
+/**
+ * Relative effort of running at a grade compared with the flat.
+ * @param {number} gradePercent - Grade in percent (positive = uphill)
+ * @returns {number} Pace multiplier (1 = flat pace)
+ */
+export function gradeFactor(gradePercent) {
+  const grade = Math.max(-MAX_GRADE_PERCENT, Math.min(MAX_GRADE_PERCENT, gradePercent));
+  if (grade >= 0) return 1 + grade * UPHILL_COST_PER_PERCENT;
+
+  const helping = Math.max(grade, DOWNHILL_OPTIMUM_PERCENT);
+  const braking = helping - grade;
+  return 1 + (helping + braking) * DOWNHILL_GAIN_PER_PERCENT;
+}
+
+/**
+ * Build a pace plan for a goal time.
+ *
+ * @param {Array<Object>} elevationProfile - Profile rows (distance_km_cum, ele); may be empty
+ * @param {number} totalDistance - Route length in km
+ * @param {number} goalSeconds - Goal finish time in seconds
+ * @param {number} [splitKm=1] - Split length in km (1.609344 for per-mile splits)
+ * @returns {{
+ *   goalSeconds: number,
+ *   totalDistance: number,
+ *   averagePace: number,
+ *   splitKm: number,
+ *   distances: number[],
+ *   times: number[],
+ *   splits: Array<{ km: number, fromKm: number, toKm: number, gradePercent: number, seconds: number, pace: number, elapsed: number }>
+ * }|null} Plan, or null when there is no goal or no route. `km` is the
+ *   1-based split number; `pace` is always seconds per km.
+ */
+export function buildPacePlan(elevationProfile, totalDistance, goalSeconds, splitKm = 1) {
+  if (!goalSeconds || !totalDistance) return null;
+  const profile = elevationProfile || [];
+
+  // Cost of every step, then spread the goal time proportionally
+  const stepCount = Math.max(1, Math.ceil(totalDistance / PLAN_STEP_KM));
+  const distances = [0];
+  const costs = [0];
+  for (let i = 1; i <= stepCount; i++) {
+    const from = distances[i - 1];
+    const to = Math.min(totalDistance, i * PLAN_STEP_KM);
+    distances.push(to);
+    costs.push(costs[i - 1] + (to - from) * gradeFactor(gradeBetween(profile, from, to)));
+  }
+  const secondsPerCost = goalSeconds / costs[stepCount];
+  const times = costs.map(c => c * secondsPerCost);
+
+  const plan = {
+    goalSeconds,
+    totalDistance,
+    averagePace: goalSeconds / totalDistance,
+    splitKm,
+    distances,
+    times,
+    splits: [],
+  };
+
+  // Per-km (or per-mile) splits (the last one covers the remaining fraction)
+  const splitCount = Math.max(1, Math.ceil((totalDistance - MIN_LAST_SPLIT_KM) / splitKm));
+  for (let km = 1; km <= splitCount; km++) {
+    const fromKm = (km - 1) * splitKm;
+    const toKm = km === splitCount ? totalDistance : km * splitKm;
+    const elapsed = timeAtDistance(plan, toKm);
+    const seconds = elapsed - timeAtDistance(plan, fromKm);
+    plan.splits.push({
+      km,
+      fromKm,
+      toKm,
+      gradePercent: gradeBetween(profile, fromKm, toKm),
+      seconds,
+      pace: seconds / (toKm - fromKm),
+      elapsed,
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Planned elapsed time at a distance along the route.
+ * @param {Object} plan - Output of buildPacePlan
+ * @param {number} distanceKm
+ * @returns {number} Seconds since the start
+ */
+export function timeAtDistance(plan, distanceKm) {
+  const { distances, times } = plan;
+  let lo = 0;
+  let hi = distances.length - 1;
+  if (distanceKm <= distances[lo]) return times[lo];
+  if (distanceKm >= distances[hi]) return times[hi];
+
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (distances[mid] <= distanceKm) lo = mid;
+    else hi = mid;
+  }
+
+  const span = distances[hi] - distances[lo];
+  const t = span > 0 ? (distanceKm - distances[lo]) / span : 0;
+  return times[lo] + (times[hi] - times[lo]) * t;
+}
+
+/**
+ * Distance reached at an elapsed time — the inverse of timeAtDistance.
+ * Works on any `{ distances, times }` pair with both arrays ascending
+ * (a pace plan or recordedTimeline).
+ *
+ * @param {{ distances: number[], times: number[] }} plan
+ * @param {number} seconds - Elapsed time since the start
+ * @returns {number} Distance in km
+ */
+export function distanceAtTime(plan, seconds) {
+  const { distances, times } = plan;
+  let lo = 0;
+  let hi = times.length - 1;
+  if (seconds <= times[lo]) return distances[lo];
+  if (seconds >= times[hi]) return distances[hi];
+
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= seconds) lo = mid;
+    else hi = mid;
+  }
+
+  const span = times[hi] - times[lo];
+  const t = span > 0 ? (seconds - times[lo]) / span : 0;
+  return distances[lo] + (distances[hi] - distances[lo]) * t;
+}
+
+/**
+ * Elapsed time along the route from the profile's `time` column (recorded
+ * tracks), in the same `{ distances, times }` shape as a pace plan.
+ *
+ * @param {Array<Object>} elevationProfile - Profile rows (distance_km_cum, time)
+ * @returns {{ distances: number[], times: number[], totalSeconds: number }|null}
+ *   Null unless every row has a timestamp and time never runs backwards
+ */
+export function recordedTimeline(elevationProfile) {
+  const profile = elevationProfile || [];
+  if (profile.length < 2) return null;
+
+  const start = Date.parse(profile[0].time);
+  if (Number.isNaN(start)) return null;
+
+  const distances = [];
+  const times = [];
+  for (const row of profile) {
+    const seconds = (Date.parse(row.time) - start) / 1000;
+    if (Number.isNaN(seconds) || (times.length && seconds < times[times.length - 1])) return null;
+    distances.push(row.distance_km_cum);
+    times.push(seconds);
+  }
+
+  const totalSeconds = times[times.length - 1];
+  return totalSeconds > 0 ? { distances, times, totalSeconds } : null;
+}
+
+/**
+ * Project categorised marks onto the route, in route order.
+ *
+ * Labels are returned as authored (plain or per-language `{ es, en }`,
+ * possibly missing); display text is resolved by the caller.
+ *
+ * @param {Object} lineFeature - GeoJSON LineString Feature
+ * @param {Object|null} marksData - Marks FeatureCollection
+ * @param {number} totalDistance - Route length in km (distances are clamped to it)
+ * @returns {Array<{
+ *   label: string|Object|null, name: string|null, categories: string[], distanceKm: number
+ * }>}
+ */
+export function projectMarks(lineFeature, marksData, totalDistance) {
+  if (!lineFeature || !marksData?.features) return [];
+
+  return marksData.features
+    .map((f) => {
+      const categories = markCategoriesOf(f.properties);
+      if (categories.length === 0 || f.geometry?.type !== 'Point') return null;
+      return {
+        label: f.properties.label ?? null,
+        name: f.properties.name ?? null,
+        categories,
+        distanceKm: Math.min(totalDistance, projectOnRoute(lineFeature, f.geometry.coordinates)),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
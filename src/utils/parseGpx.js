@@ -0,0 +1,79 @@
+import { t } from '@/i18n';
+
+/**
+ * parseGpx — Converts GPX XML text into a GeoJSON FeatureCollection.
+ *
+ * Track points (`<trkpt>`) from every `<trkseg>` are concatenated into a
+ * single 3D LineString ([lng, lat, ele]). Files without tracks fall back to
+ * route points (`<rtept>`). Point timestamps (`<time>`) are kept in
+ * `properties.times`, aligned with the coordinates, so callers can derive
+ * segment durations.
+ *
+ * @param {string} gpxText - Raw GPX file content
+ * @returns {{ name: string, geojson: Object }} Track name and FeatureCollection
+ * @throws {Error} When the text is not valid GPX or holds fewer than two points
+ */
+export function parseGpx(gpxText) {
+  if (!gpxText || typeof gpxText !== 'string') {
+    throw new Error(t('errors.gpxEmpty'));
+  }
+
+  const doc = new DOMParser().parseFromString(gpxText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'gpx') {
+    throw new Error(t('errors.gpxInvalid'));
+  }
+
+  // Prefer recorded track points; planned routes only carry <rtept>
+  let pointEls = Array.from(doc.getElementsByTagName('trkpt'));
+  if (pointEls.length === 0) {
+    pointEls = Array.from(doc.getElementsByTagName('rtept'));
+  }
+
+  const coordinates = [];
+  const times = [];
+
+  for (const el of pointEls) {
+    const lat = parseFloat(el.getAttribute('lat'));
+    const lon = parseFloat(el.getAttribute('lon'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const ele = parseFloat(childText(el, 'ele'));
+    coordinates.push([lon, lat, Number.isFinite(ele) ? ele : 0]);
+    times.push(childText(el, 'time'));
+  }
+
+  if (coordinates.length < 2) {
+    throw new Error(t('errors.gpxNoTrack'));
+  }
+
+  // Name: track name → route name → metadata name
+  const nameEl = doc.querySelector('trk > name, rte > name, metadata > name');
+  const name = nameEl ? nameEl.textContent.trim() : '';
+
+  return {
+    name,
+    geojson: {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { name, times },
+          geometry: { type: 'LineString', coordinates },
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Text content of the first direct child element with the given tag name.
+ * @param {Element} el
+ * @param {string} tagName
+ * @returns {string} Trimmed text, or '' when the child is absent
+ */
+function childText(el, tagName) {
+  for (const child of el.children) {
+    if (child.localName === tagName) return child.textContent.trim();
+  }
+  return '';
+}
@@ -0,0 +1,152 @@
+import { t } from '@/i18n';
+
+/** Half-marathon distance used for `21K` / `half` columns. */
+const HALF_MARATHON_KM = 21.0975;
+
+/** Header names accepted for the finish time. */
+const FINISH_HEADERS = new Set(['finish', 'final', 'chip', 'time', 'meta', 'tiempo']);
+
+/** Header names accepted for the identity columns. */
+const ID_HEADERS = {
+  bib: ['bib', 'dorsal', 'number'],
+  name: ['name', 'nombre', 'runner'],
+  category: ['category', 'categoria', 'categoría', 'cat'],
+};
+
+/**
+ * Parse a chip-timing results CSV into runners with split times.
+ *
+ * Expected columns (header names are case-insensitive, order is free):
+ *   bib, name, category, 5K, 10K, 21K, 30K, finish
+ *
+ * Every column whose header is a distance (`5K`, `10 km`, `21.1K`, …) is a
+ * split; `21K` / `half` are read as the half-marathon distance (21.0975 km).
+ * `finish` (or `final`, `chip`, `time`) is the finish time; its distance is
+ * the route length, resolved later by buildRaceReplay.
+ *
+ * Times are chip times: `h:mm:ss`, `mm:ss` or either with fractional
+ * seconds. Empty cells and non-times (`DNF`, `DQ`, `-`) count as missing.
+ * Both `,` and `;` delimiters are accepted, and quoted fields may contain
+ * the delimiter (e.g. `"Pérez, Ana"`).
+ *
+ * @param {string} csvText - Raw CSV text content
+ * @returns {{
+ *   splitDistances: Array<number|null>,
+ *   runners: Array<{ bib: string, name: string, category: string, splits: Array<{ km: number|null, seconds: number }> }>
+ * }} Split distances in column order (null = finish) and runners with their valid splits
+ * @throws {Error} When the file has no bib column or no split columns
+ */
+export function parseResultsCsv(csvText) {
+  if (!csvText || typeof csvText !== 'string') {
+    throw new Error(t('errors.resultsEmpty'));
+  }
+
+  const lines = csvText.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const headers = splitCsvLine(lines[0], delimiter).map(h => h.trim().toLowerCase());
+
+  const column = field => headers.findIndex(h => ID_HEADERS[field].includes(h));
+  const bibCol = column('bib');
+  const nameCol = column('name');
+  const categoryCol = column('category');
+  if (bibCol === -1) {
+    throw new Error(t('errors.resultsNoBib'));
+  }
+
+  // Split columns: distance headers plus the finish column
+  const splitCols = [];
+  headers.forEach((header, i) => {
+    const km = FINISH_HEADERS.has(header) ? null : splitDistance(header);
+    if (km !== undefined) splitCols.push({ index: i, km });
+  });
+  if (splitCols.length === 0) {
+    throw new Error(t('errors.resultsNoSplits'));
+  }
+
+  const runners = [];
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    const values = splitCsvLine(line, delimiter);
+    const bib = (values[bibCol] || '').trim();
+    if (!bib) continue;
+
+    runners.push({
+      bib,
+      name: nameCol !== -1 ? (values[nameCol] || '').trim() : '',
+      category: categoryCol !== -1 ? (values[categoryCol] || '').trim() : '',
+      splits: splitCols
+        .map(({ index, km }) => ({ km, seconds: parseChipTime(values[index]) }))
+        .filter(s => s.seconds !== null),
+    });
+  }
+
+  return {
+    splitDistances: splitCols.map(c => c.km),
+    runners,
+  };
+}
+
+/**
+ * Distance (km) encoded in a split header, e.g. "10k" → 10, "21k" → 21.0975.
+ * @param {string} header - Lower-cased header
+ * @returns {number|undefined} undefined when the header is not a split
+ */
+function splitDistance(header) {
+  if (header === 'half' || header === '21k' || header === '21 km' || header === '21km') {
+    return HALF_MARATHON_KM;
+  }
+  const match = /^(\d+(?:[.,]\d+)?)\s*(k|km)$/.exec(header);
+  return match ? parseFloat(match[1].replace(',', '.')) : undefined;
+}
+
+/**
+ * Parse a chip time cell.
+ * @param {string|undefined} text - "h:mm:ss", "mm:ss", optionally with ".s"
+ * @returns {number|null} Seconds, or null when missing / not a time
+ */
+function parseChipTime(text) {
+  const parts = String(text || '').trim().split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+  if (!parts.every(p => /^\d+(\.\d+)?$/.test(p))) return null;
+
+  const nums = parts.map(Number);
+  const seconds = nums.length === 3
+    ? nums[0] * 3600 + nums[1] * 60 + nums[2]
+    : nums[0] * 60 + nums[1];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("" is an escaped quote).
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitCsvLine(line, delimiter) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      values.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  values.push(current);
+  return values;
+}
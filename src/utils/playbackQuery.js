@@ -0,0 +1,52 @@
+/**
+ * Playback position ↔ URL query for shareable deep links, e.g.
+ * `/event/cali-2026/route/42k?km=27.3&speed=2&camera=follow`.
+ *
+ * `camera` is 'overview' (paused) or the camera mode the playback runs in
+ * (config/cameraModes). Defaults (start of the route, 1x, overview camera)
+ * are left out of the query so a plain route link stays clean.
+ *
+ * @example
+ * import { playbackToQuery, playbackFromQuery } from '@/utils/playbackQuery';
+ * playbackToQuery({ km: 27.31, speed: 2, camera: 'follow' });
+ * // → { km: '27.3', speed: '2', camera: 'follow' }
+ */
+
+import { CAMERA_MODES } from '@/config/cameraModes';
+
+/** Camera states that can be linked */
+export const LINK_CAMERAS = ['overview', ...CAMERA_MODES.map(m => m.id)];
+
+/**
+ * Query parameters for a playback moment.
+ * @param {{ km: number, speed: number, camera: string }} moment
+ * @returns {{ km?: string, speed?: string, camera?: string }} Values as strings,
+ *   `undefined` for defaults (vue-router drops them)
+ */
+export function playbackToQuery({ km, speed, camera }) {
+  const roundedKm = Math.round(km * 10) / 10;
+  return {
+    km: roundedKm > 0 ? String(roundedKm) : undefined,
+    speed: speed !== 1 ? String(speed) : undefined,
+    camera: camera !== 'overview' ? camera : undefined,
+  };
+}
+
+/**
+ * Read a playback moment from a route query, ignoring missing or invalid
+ * values.
+ *
+ * @param {Object} query - vue-router `route.query`
+ * @param {number} totalDistance - Route length in km (km is clamped to it)
+ * @param {number[]} speedOptions - Accepted speed multipliers
+ * @returns {{ km: number|null, speed: number|null, camera: string|null }}
+ */
+export function playbackFromQuery(query, totalDistance, speedOptions) {
+  const km = Number.parseFloat(query.km);
+  const speed = Number.parseFloat(query.speed);
+  return {
+    km: Number.isFinite(km) && km >= 0 ? Math.min(km, totalDistance) : null,
+    speed: speedOptions.includes(speed) ? speed : null,
+    camera: LINK_CAMERAS.includes(query.camera) ? query.camera : null,
+  };
+}
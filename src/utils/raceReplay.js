@@ -0,0 +1,160 @@
+/**
+ * raceReplay — Race replay model built from chip-timing splits.
+ *
+ * Each runner becomes a piecewise-linear distance-over-time curve through
+ * their known splits (start at 0 s / 0 km, then 5K, 10K, …, finish), so
+ * their position at any race-clock second is an interpolation between the
+ * two surrounding timing mats. Runners without a finish time stop at their
+ * last split (DNF).
+ *
+ * All functions are pure.
+ *
+ * @module raceReplay
+ */
+
+import { t } from '@/i18n';
+
+/**
+ * Build the replay model for a route.
+ *
+ * @param {Object} results - Output of parseResultsCsv
+ * @param {number} totalDistance - Route length in km (distance of the finish split)
+ * @returns {{
+ *   runners: Array<{ bib: string, name: string, category: string, distances: number[], times: number[], finishSeconds: number|null }>,
+ *   categories: string[],
+ *   durationSeconds: number
+ * }}
+ * @throws {Error} When no runner has a usable split
+ */
+export function buildRaceReplay(results, totalDistance) {
+  const runners = results.runners
+    .map((r) => {
+      const distances = [0];
+      const times = [0];
+      let finishSeconds = null;
+
+      const splits = r.splits
+        .map(s => ({
+          km: s.km === null ? totalDistance : s.km,
+          seconds: s.seconds,
+          finish: s.km === null,
+        }))
+        .sort((a, b) => a.seconds - b.seconds);
+
+      // Keep splits that move forward in both distance and time; an
+      // intermediate mat at or beyond the route length (21K on a 21 km
+      // course) would shadow the finish
+      for (const s of splits) {
+        if (!s.finish && s.km >= totalDistance) continue;
+        if (s.km <= distances[distances.length - 1] || s.seconds <= times[times.length - 1]) continue;
+        distances.push(s.km);
+        times.push(s.seconds);
+        if (s.finish) finishSeconds = s.seconds;
+      }
+
+      return {
+        bib: r.bib,
+        name: r.name,
+        category: r.category,
+        distances,
+        times,
+        finishSeconds,
+      };
+    })
+    .filter(r => r.times.length > 1);
+
+  if (runners.length === 0) {
+    throw new Error(t('errors.resultsNoTimes'));
+  }
+
+  return {
+    runners,
+    categories: [...new Set(runners.map(r => r.category).filter(Boolean))].sort(),
+    durationSeconds: Math.max(...runners.map(r => r.times[r.times.length - 1])),
+  };
+}
+
+/**
+ * Distance covered by a runner at a race-clock time.
+ * @param {Object} runner - Replay runner
+ * @param {number} seconds - Race clock
+ * @returns {number} km along the route
+ */
+export function runnerDistanceAt(runner, seconds) {
+  const { distances, times } = runner;
+  const last = times.length - 1;
+  if (seconds >= times[last]) return distances[last];
+  if (seconds <= 0) return 0;
+
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= seconds) lo = mid;
+    else hi = mid;
+  }
+  const t = (seconds - times[lo]) / (times[hi] - times[lo]);
+  return distances[lo] + (distances[hi] - distances[lo]) * t;
+}
+
+/**
+ * Race standings at a race-clock time: finishers first (by finish time),
+ * then everyone else by distance covered.
+ *
+ * @param {Array<Object>} runners - Replay runners (already filtered)
+ * @param {number} seconds - Race clock
+ * @returns {Array<{ runner: Object, distanceKm: number, finished: boolean, stopped: boolean }>}
+ */
+export function leaderboardAt(runners, seconds) {
+  return runners
+    .map((runner) => {
+      const finished = runner.finishSeconds !== null && seconds >= runner.finishSeconds;
+      return {
+        runner,
+        distanceKm: runnerDistanceAt(runner, seconds),
+        finished,
+        // DNF: past their last split without a finish time
+        stopped: !finished && runner.finishSeconds === null && seconds > runner.times[runner.times.length - 1],
+      };
+    })
+    .sort((a, b) => {
+      if (a.finished && b.finished) return a.runner.finishSeconds - b.runner.finishSeconds;
+      if (a.finished !== b.finished) return a.finished ? -1 : 1;
+      return b.distanceKm - a.distanceKm;
+    });
+}
+
+/**
+ * Runners matching a category and a bib / name query.
+ *
+ * @param {Array<Object>} runners - Replay runners
+ * @param {string} category - Category to keep ('' = all)
+ * @param {string} query - Bib (exact) or part of the name ('' = all)
+ * @returns {Array<Object>}
+ */
+export function filterRunners(runners, category, query) {
+  const q = query.trim().toLowerCase();
+  return runners.filter(r => (!category || r.category === category)
+    && (!q || r.bib.toLowerCase() === q || r.name.toLowerCase().includes(q)));
+}
+
+/**
+ * Leading runner at a race-clock time (same order as leaderboardAt, in a
+ * single pass — cheap enough for the animation frame loop).
+ *
+ * @param {Array<Object>} runners - Replay runners
+ * @param {number} seconds - Race clock
+ * @returns {{ runner: Object, distanceKm: number }|null}
+ */
+export function leaderAt(runners, seconds) {
+  let best = null;
+  for (const runner of runners) {
+    const finished = runner.finishSeconds !== null && seconds >= runner.finishSeconds;
+    const distanceKm = runnerDistanceAt(runner, seconds);
+    const better = !best
+      || (finished && (!best.finished || runner.finishSeconds < best.runner.finishSeconds))
+      || (!finished && !best.finished && distanceKm > best.distanceKm);
+    if (better) best = { runner, distanceKm, finished };
+  }
+  return best && { runner: best.runner, distanceKm: best.distanceKm };
+}
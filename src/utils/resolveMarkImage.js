@@ -0,0 +1,19 @@
+/**
+ * Eagerly import all mark images at build time so Vite includes them
+ * in the production bundle with hashed filenames.
+ * Keys are like '../assets/dist_mark.png'; values are resolved URLs.
+ */
+const markImageModules = import.meta.glob('../assets/*_mark.png', { eager: true, import: 'default' });
+
+/**
+ * Resolve a GeoJSON asset path (e.g. "assets/dist_mark.png") to a
+ * Vite-resolved URL that works in both dev and production builds.
+ * @param {string} path - Relative path from GeoJSON (e.g. "assets/dist_mark.png")
+ * @returns {string|null} Resolved URL or null if not found
+ */
+export function resolveMarkImage(path) {
+  if (!path) return null;
+  // GeoJSON stores "assets/foo_mark.png"; glob keys are "../assets/foo_mark.png"
+  const key = '../' + path;
+  return markImageModules[key] ?? null;
+}
@@ -0,0 +1,107 @@
+import turf from 'turf';
+
+/**
+ * Calculate the distance along `lineFeature` to the `snapped` point returned
+ * by turf.pointOnLine.
+ *
+ * @param {Object} lineFeature - GeoJSON LineString Feature (the route)
+ * @param {Object} snapped     - Point Feature returned by turf.pointOnLine
+ * @returns {number} Distance in km along the route to the snapped point.
+ */
+export function distanceAlongRoute(lineFeature, snapped) {
+  const coords = lineFeature.geometry.coordinates;
+  const segIdx = snapped.properties.index;
+  let dist = 0;
+
+  for (let i = 0; i < segIdx; i++) {
+    dist += turf.distance(turf.point(coords[i]), turf.point(coords[i + 1]));
+  }
+
+  dist += turf.distance(turf.point(coords[segIdx]), snapped);
+  return dist;
+}
+
+/**
+ * Project a position onto the route and return its distance along it.
+ *
+ * @param {Object} lineFeature - GeoJSON LineString Feature (the route)
+ * @param {[number, number]} lngLat - Position to project
+ * @returns {number} Distance in km from the route start to the projected point
+ */
+export function projectOnRoute(lineFeature, lngLat) {
+  const snapped = turf.pointOnLine(lineFeature, turf.point([lngLat[0], lngLat[1]]));
+  return distanceAlongRoute(lineFeature, snapped);
+}
+
+/**
+ * Cumulative distance (km) at every vertex of a LineString.
+ *
+ * @param {number[][]} coordinates - LineString coordinates
+ * @returns {number[]} Distances aligned with `coordinates` (first is 0)
+ */
+export function cumulativeDistances(coordinates) {
+  const distances = new Array(coordinates.length);
+  let dist = 0;
+  coordinates.forEach((coord, i) => {
+    if (i > 0) {
+      const prev = coordinates[i - 1];
+      dist += turf.distance(turf.point([prev[0], prev[1]]), turf.point([coord[0], coord[1]]));
+    }
+    distances[i] = dist;
+  });
+  return distances;
+}
+
+/** Metres per degree of latitude. */
+const METRES_PER_DEG = 111320;
+
+/**
+ * Build a planar (local equirectangular, metres) model of a route for fast
+ * repeated projection. Accurate to well under a metre at race scale; points
+ * must be converted with the model's own `toXY` before projecting.
+ *
+ * @param {number[][]} coordinates - Course LineString coordinates
+ * @returns {{ xy: number[][], cumM: number[], totalM: number, toXY: Function }}
+ */
+export function buildCourseModel(coordinates) {
+  const lat0 = coordinates.reduce((sum, c) => sum + c[1], 0) / coordinates.length;
+  const kx = Math.cos((lat0 * Math.PI) / 180) * METRES_PER_DEG;
+  const toXY = c => [c[0] * kx, c[1] * METRES_PER_DEG];
+
+  const xy = coordinates.map(toXY);
+  const cumM = [0];
+  for (let i = 1; i < xy.length; i++) {
+    cumM.push(cumM[i - 1] + Math.hypot(xy[i][0] - xy[i - 1][0], xy[i][1] - xy[i - 1][1]));
+  }
+  return { xy, cumM, totalM: cumM[cumM.length - 1] || 1, toXY };
+}
+
+/**
+ * Nearest point on the course segments [from, to).
+ *
+ * @param {Object} course - Course model
+ * @param {number[]} p - Point in planar metres
+ * @param {number} from - First segment index
+ * @param {number} to - Last segment index (exclusive)
+ * @returns {{ alongM: number, offsetM: number }}
+ */
+export function nearestOnCourse(course, p, from, to) {
+  const { xy, cumM } = course;
+  let best = { alongM: 0, offsetM: Infinity };
+
+  for (let i = from; i < to; i++) {
+    const a = xy[i];
+    const b = xy[i + 1];
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0
+      ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2))
+      : 0;
+    const offsetM = Math.hypot(p[0] - (a[0] + dx * t), p[1] - (a[1] + dy * t));
+    if (offsetM < best.offsetM) {
+      best = { alongM: cumM[i] + (cumM[i + 1] - cumM[i]) * t, offsetM };
+    }
+  }
+  return best;
+}
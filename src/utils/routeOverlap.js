@@ -0,0 +1,145 @@
+/**
+ * routeOverlap — Shared and unique sections of routes run on the same
+ * streets (e.g. the 10K, 15K and 42K of one event).
+ *
+ * Every route is sampled every SAMPLE_STEP_M metres and each sample is
+ * tested against the other routes' lines: within SHARED_TOLERANCE_M of a
+ * route means that street is shared with it. Consecutive samples with the
+ * same set of sharing routes form a section. Sections shorter than
+ * MIN_SECTION_M (a street merely crossing another route) are folded into
+ * their neighbour.
+ *
+ * Direction is ignored: an out-and-back leg run the other way round by
+ * another distance still counts as the same street.
+ *
+ * All functions are pure.
+ *
+ * @module routeOverlap
+ */
+
+import { buildCourseModel, nearestOnCourse } from '@/utils/routeGeometry';
+
+/** Distance (m) between two lines under which they are the same street. */
+export const SHARED_TOLERANCE_M = 30;
+
+/** Spacing (m) of the samples tested along each route. */
+const SAMPLE_STEP_M = 20;
+
+/** Sections shorter than this (m) are crossings, not shared streets. */
+const MIN_SECTION_M = 150;
+
+/**
+ * Points every SAMPLE_STEP_M along a route, plus its last vertex.
+ * @param {number[][]} coordinates - Route coordinates
+ * @param {Object} model - buildCourseModel output for the same coordinates
+ * @returns {Array<{ lngLat: [number, number], alongM: number }>}
+ */
+function sampleRoute(coordinates, model) {
+  const { cumM, totalM } = model;
+  const samples = [];
+  let i = 0;
+
+  for (let alongM = 0; alongM < totalM; alongM += SAMPLE_STEP_M) {
+    while (i < cumM.length - 2 && cumM[i + 1] < alongM) i++;
+    const span = cumM[i + 1] - cumM[i];
+    const t = span > 0 ? (alongM - cumM[i]) / span : 0;
+    const a = coordinates[i];
+    const b = coordinates[i + 1];
+    samples.push({
+      lngLat: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+      alongM,
+    });
+  }
+
+  const last = coordinates[coordinates.length - 1];
+  samples.push({ lngLat: [last[0], last[1]], alongM: totalM });
+  return samples;
+}
+
+/**
+ * Runs of consecutive equal keys.
+ * @param {string[]} keys
+ * @returns {Array<{ key: string, start: number, end: number }>} Inclusive index ranges
+ */
+function runsOf(keys) {
+  const runs = [];
+  keys.forEach((key, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.key === key) last.end = i;
+    else runs.push({ key, start: i, end: i });
+  });
+  return runs;
+}
+
+/**
+ * Split every route into shared and unique sections.
+ *
+ * @param {Array<{ id: string, coordinates: number[][] }>} routes - Route lines to compare
+ * @returns {Array<{
+ *   id: string,
+ *   totalKm: number,
+ *   sharedKm: number,
+ *   uniqueKm: number,
+ *   sharedKmWith: Record<string, number>,
+ *   sections: Array<{ sharedWith: string[], fromKm: number, toKm: number, coordinates: number[][] }>
+ * }>} One entry per input route, in input order
+ */
+export function compareRoutes(routes) {
+  const models = routes.map(r => buildCourseModel(r.coordinates));
+
+  return routes.map((route, ri) => {
+    const samples = sampleRoute(route.coordinates, models[ri]);
+
+    // Ids of the other routes running on each sample's street
+    const keys = samples.map(({ lngLat }) => routes
+      .filter((other, oi) => {
+        if (oi === ri) return false;
+        const model = models[oi];
+        return nearestOnCourse(model, model.toXY(lngLat), 0, model.xy.length - 1).offsetM <= SHARED_TOLERANCE_M;
+      })
+      .map(other => other.id)
+      .join(','));
+
+    // Fold short sections into the previous one (the next one at the start)
+    const runs = runsOf(keys);
+    if (runs.length > 1) {
+      runs.forEach((run, i) => {
+        const lengthM = samples[run.end].alongM - samples[run.start].alongM;
+        if (lengthM >= MIN_SECTION_M) return;
+        const key = i > 0 ? keys[runs[i - 1].end] : runs[i + 1].key;
+        for (let k = run.start; k <= run.end; k++) keys[k] = key;
+      });
+    }
+
+    const sharedKmWith = Object.fromEntries(routes.filter((_, oi) => oi !== ri).map(o => [o.id, 0]));
+    let sharedKm = 0;
+
+    const sections = runsOf(keys).map((run) => {
+      // Sections end on the next section's first sample so lines join up
+      const end = Math.min(run.end + 1, samples.length - 1);
+      const fromKm = samples[run.start].alongM / 1000;
+      const toKm = samples[end].alongM / 1000;
+      const sharedWith = run.key ? run.key.split(',') : [];
+
+      if (sharedWith.length) sharedKm += toKm - fromKm;
+      sharedWith.forEach((id) => { sharedKmWith[id] += toKm - fromKm; });
+
+      return {
+        sharedWith,
+        fromKm,
+        toKm,
+        coordinates: samples.slice(run.start, end + 1).map(s => s.lngLat),
+      };
+    });
+
+    const totalKm = models[ri].totalM / 1000;
+    return {
+      id: route.id,
+      totalKm,
+      sharedKm,
+      uniqueKm: totalKm - sharedKm,
+      sharedKmWith,
+      sections,
+    };
+  });
+}
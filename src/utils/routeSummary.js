@@ -0,0 +1,46 @@
+/**
+ * Finish summary of a route: the figures shown when playback stops at the
+ * finish line.
+ *
+ * @example
+ * import { routeSummary } from '@/utils/routeSummary';
+ * routeSummary(store.elevationProfile, store.profileSamples, store.routeMarks, 42.195);
+ * // → { distanceKm: 42.195, ascentM: 212, maxGrade: 6.1, highest: { km: 21.4, ele: 1012 }, … }
+ */
+
+/** Mark categories that count as a hydration station */
+const HYDRATION_CATEGORIES = ['water', 'isotonic'];
+
+/**
+ * @param {Array<Object>} profile - Elevation profile rows (distance_km_cum, ele, elev_gain_pos_cum_m)
+ * @param {Array<{ km: number, gradePercent: number }>} samples - Resampled profile
+ *   (max grade is read here so single noisy rows don't dominate)
+ * @param {Array<{ categories: string[], distanceKm: number }>} marks - Route marks in route order
+ * @param {number} reachedKm - Distance covered; stations up to it count as passed
+ * @returns {{
+ *   distanceKm: number, ascentM: number, maxGrade: number,
+ *   highest: { km: number, ele: number }|null, lowest: { km: number, ele: number }|null,
+ *   hydrationPassed: number
+ * }}
+ */
+export function routeSummary(profile, samples, marks, reachedKm) {
+  let highest = null;
+  let lowest = null;
+  for (const row of profile) {
+    if (!highest || row.ele > highest.ele) highest = { km: row.distance_km_cum, ele: row.ele };
+    if (!lowest || row.ele < lowest.ele) lowest = { km: row.distance_km_cum, ele: row.ele };
+  }
+
+  const maxGrade = samples.reduce((max, s) => Math.max(max, s.gradePercent), 0);
+  const hydrationPassed = marks.filter(m => m.distanceKm <= reachedKm
+    && m.categories.some(c => HYDRATION_CATEGORIES.includes(c))).length;
+
+  return {
+    distanceKm: reachedKm,
+    ascentM: profile.length ? profile[profile.length - 1].elev_gain_pos_cum_m : 0,
+    maxGrade,
+    highest,
+    lowest,
+    hydrationPassed,
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Route thumbnails for the event cards: a Mapbox Static Images URL framed
+ * on the route, with the course line and start / finish pins, and a
+ * tokenless SVG drawing of the same line for when Mapbox is unavailable.
+ *
+ * @example
+ * import { staticThumbnailUrl, thumbnailShape } from '@/utils/routeThumbnail';
+ * staticThumbnailUrl(line.geometry.coordinates, { width: 420, height: 180, ... });
+ * thumbnailShape(line.geometry.coordinates, 420, 180);
+ * // → { path: 'M12.0 40.3 L…', start: [12, 40.3], finish: [380.2, 96.1] }
+ */
+
+import tokens from '@/theme/tokens';
+
+/** Points kept for the static map path (the URL must stay under ~8k chars) */
+const MAX_STATIC_POINTS = 300;
+
+/** Points kept for the SVG drawing */
+const MAX_SVG_POINTS = 600;
+
+/**
+ * At most `maxPoints` coordinates, evenly strided; first and last are kept.
+ * @param {number[][]} coordinates
+ * @param {number} maxPoints
+ * @returns {number[][]}
+ */
+export function simplifyLine(coordinates, maxPoints) {
+  if (coordinates.length <= maxPoints) return coordinates;
+  const step = (coordinates.length - 1) / (maxPoints - 1);
+  const points = [];
+  for (let i = 0; i < maxPoints; i++) points.push(coordinates[Math.round(i * step)]);
+  return points;
+}
+
+/**
+ * Encoded polyline (Google polyline algorithm, lat / lng order) as used by
+ * the Static Images API path overlay.
+ * @param {number[][]} coordinates - [lng, lat] pairs
+ * @param {number} [precision=5] - Decimal places kept
+ * @returns {string}
+ */
+export function encodePolyline(coordinates, precision = 5) {
+  const factor = 10 ** precision;
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const [lng, lat] of coordinates) {
+    const latE = Math.round(lat * factor);
+    const lngE = Math.round(lng * factor);
+    encoded += encodeValue(latE - prevLat) + encodeValue(lngE - prevLng);
+    prevLat = latE;
+    prevLng = lngE;
+  }
+  return encoded;
+}
+
+/** Hex colour without '#', as the Static Images API expects */
+const hex = color => color.replace('#', '');
+
+/**
+ * Static Images API URL of a route: the course line plus start and finish
+ * pins, with the view fitted to them (`auto`).
+ *
+ * @param {number[][]} coordinates - Route [lng, lat] pairs
+ * @param {Object} options
+ * @param {number} options.width - Image width in CSS px (rendered @2x)
+ * @param {number} options.height - Image height in CSS px
+ * @param {string} options.stylePath - Style path, e.g. 'mapbox/streets-v11' (see staticMapStylePath)
+ * @param {string} options.accessToken - Mapbox public token
+ * @param {number} [options.padding=20] - Padding around the route in px
+ * @returns {string|null} URL, or null for a line with fewer than 2 points
+ */
+export function staticThumbnailUrl(coordinates, {
+  width, height, stylePath, accessToken, padding = 20,
+}) {
+  if (coordinates.length < 2) return null;
+  const { route } = tokens.colors;
+  const polyline = encodePolyline(simplifyLine(coordinates, MAX_STATIC_POINTS));
+  const [startLng, startLat] = coordinates[0];
+  const [finishLng, finishLat] = coordinates[coordinates.length - 1];
+  const overlays = [
+    `path-4+${hex(route.full)}-0.9(${encodeURIComponent(polyline)})`,
+    `pin-s+${hex(route.start)}(${startLng.toFixed(5)},${startLat.toFixed(5)})`,
+    `pin-s+${hex(route.finish)}(${finishLng.toFixed(5)},${finishLat.toFixed(5)})`,
+  ].join(',');
+  return `https://api.mapbox.com/styles/v1/${stylePath}/static/${overlays}/auto/${width}x${height}@2x`
+    + `?padding=${padding}&access_token=${accessToken}`;
+}
+
+/**
+ * SVG drawing of a route fitted into a `width` × `height` box: the line as
+ * a path plus its start and finish points. Uses a local equirectangular
+ * projection, which is exact enough at city scale.
+ *
+ * @param {number[][]} coordinates - Route [lng, lat] pairs
+ * @param {number} width - Box width in SVG units
+ * @param {number} height - Box height in SVG units
+ * @param {number} [padding=16] - Margin inside the box
+ * @returns {{ path: string, start: [number, number], finish: [number, number] }|null}
+ *   null for a line with fewer than 2 points
+ */
+export function thumbnailShape(coordinates, width, height, padding = 16) {
+  if (coordinates.length < 2) return null;
+  const points = simplifyLine(coordinates, MAX_SVG_POINTS);
+
+  let minLng = Infinity;
+  let maxLng = -Infinity;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  for (const [lng, lat] of points) {
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
+
+  // Degrees of longitude shrink with latitude
+  const lngScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = (maxLng - minLng) * lngScale || 1e-9;
+  const spanY = (maxLat - minLat) || 1e-9;
+  const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+  // Centre the drawing in the box
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  const project = ([lng, lat]) => [
+    Number((offsetX + (lng - minLng) * lngScale * scale).toFixed(1)),
+    Number((offsetY + (maxLat - lat) * scale).toFixed(1)),
+  ];
+
+  const projected = points.map(project);
+  return {
+    path: projected.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join(' '),
+    start: projected[0],
+    finish: projected[projected.length - 1],
+  };
+}